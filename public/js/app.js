@@ -37,11 +37,277 @@ const md = window.markdownit({
   },
 });
 
+// Math and Mermaid rules, mirroring src/diagrams.js. Math is typeset with
+// KaTeX as the markdown renders; diagrams are drawn afterwards by
+// renderDiagrams(). Either falls back to showing the source.
+
+function isEscaped(src, pos) {
+  let backslashes = 0;
+  for (let i = pos - 1; i >= 0 && src[i] === '\\'; i--) backslashes++;
+  return backslashes % 2 === 1;
+}
+
+md.inline.ruler.after('escape', 'math_inline', (state, silent) => {
+  const src = state.src;
+  const start = state.pos;
+  if (src[start] !== '$') return false;
+
+  const delim = src.startsWith('$$', start) ? '$$' : '$';
+  const contentStart = start + delim.length;
+  // "$5 and $10" is prose: single-dollar math can't open or close on whitespace
+  if (delim === '$' && /\s/.test(src[contentStart] || ' ')) return false;
+
+  let end = src.indexOf(delim, contentStart);
+  while (end !== -1 && isEscaped(src, end)) end = src.indexOf(delim, end + 1);
+  if (end === -1 || end === contentStart) return false;
+  if (delim === '$' && (/\s/.test(src[end - 1]) || /\d/.test(src[end + 1] || ''))) return false;
+
+  if (!silent) {
+    const token = state.push('math_inline', 'math', 0);
+    token.markup = delim;
+    token.content = src.slice(contentStart, end);
+  }
+  state.pos = end + delim.length;
+  return true;
+});
+
+md.block.ruler.before('fence', 'math_block', (state, startLine, endLine, silent) => {
+  let pos = state.bMarks[startLine] + state.tShift[startLine];
+  let max = state.eMarks[startLine];
+  if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+  if (!state.src.startsWith('$$', pos)) return false;
+
+  const first = state.src.slice(pos + 2, max).trim();
+  let line = startLine;
+  let content;
+  if (first.length >= 2 && first.endsWith('$$')) {
+    content = first.slice(0, -2);
+  } else {
+    const lines = [first];
+    let closed = false;
+    while (++line < endLine) {
+      pos = state.bMarks[line] + state.tShift[line];
+      max = state.eMarks[line];
+      const text = state.src.slice(pos, max).trimEnd();
+      if (text.endsWith('$$')) {
+        lines.push(text.slice(0, -2));
+        closed = true;
+        break;
+      }
+      lines.push(text);
+    }
+    if (!closed) return false;
+    content = lines.join('\n');
+  }
+  if (!content.trim()) return false;
+  if (silent) return true;
+
+  state.line = line + 1;
+  const token = state.push('math_block', 'math', 0);
+  token.block = true;
+  token.markup = '$$';
+  token.content = content.trim();
+  token.map = [startLine, state.line];
+  return true;
+}, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+
+// Throws when KaTeX failed to load, which falls back like a parse error
+function renderMath(tex, displayMode) {
+  return katex.renderToString(tex, { displayMode, throwOnError: true });
+}
+
+md.renderer.rules.math_inline = (tokens, idx) => {
+  const { content, markup } = tokens[idx];
+  try {
+    return renderMath(content, markup === '$$');
+  } catch (err) {
+    return `<code class="math-error" title="${md.utils.escapeHtml(err.message || 'Invalid math')}">${md.utils.escapeHtml(markup + content + markup)}</code>`;
+  }
+};
+
+md.renderer.rules.math_block = (tokens, idx) => {
+  const { content } = tokens[idx];
+  try {
+    return `<div class="math-block">${renderMath(content, true)}</div>\n`;
+  } catch (err) {
+    return `<pre class="math-error" title="${md.utils.escapeHtml(err.message || 'Invalid math')}"><code>${md.utils.escapeHtml('$$\n' + content + '\n$$')}</code></pre>\n`;
+  }
+};
+
+const defaultFence = md.renderer.rules.fence;
+md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+  const token = tokens[idx];
+  if (token.info.trim().split(/\s+/)[0] !== 'mermaid') return defaultFence(tokens, idx, options, env, self);
+  return `<div class="mermaid-block"><pre class="mermaid-source"><code>${md.utils.escapeHtml(token.content)}</code></pre></div>\n`;
+};
+
+// Wiki links, mirroring src/wikilinks.js. The server resolves the targets in
+// a file and sends them as `links` (normalized target → { id, filename }).
+
+md.inline.ruler.before('link', 'wikilink', (state, silent) => {
+  const src = state.src;
+  const start = state.pos;
+  if (!src.startsWith('[[', start)) return false;
+  const end = src.indexOf(']]', start + 2);
+  if (end === -1) return false;
+  const inner = src.slice(start + 2, end);
+  if (/[[\]\n]/.test(inner)) return false;
+
+  const bar = inner.indexOf('|');
+  const target = (bar === -1 ? inner : inner.slice(0, bar)).trim();
+  if (!target) return false;
+  if (!silent) {
+    const token = state.push('wikilink', '', 0);
+    token.meta = { target: target.replace(/\s+/g, ' ').toLowerCase() };
+    token.content = (bar === -1 ? target : inner.slice(bar + 1).trim()) || target;
+  }
+  state.pos = end + 2;
+  return true;
+});
+
+// Without a links map (shared pages) links render as plain text
+md.renderer.rules.wikilink = (tokens, idx, options, env) => {
+  const { content, meta } = tokens[idx];
+  const escape = md.utils.escapeHtml;
+  if (!env?.wikiLinks) return `<span class="wikilink">${escape(content)}</span>`;
+  const file = env.wikiLinks[meta.target];
+  if (!file) return `<span class="wikilink broken" title="No file named &quot;${escape(meta.target)}&quot;">${escape(content)}</span>`;
+  return `<a class="wikilink" href="/${encodeURIComponent(file.id)}" data-file-id="${escape(file.id)}" title="${escape(file.filename)}">${escape(content)}</a>`;
+};
+
+// Mermaid is large, so it's only fetched once a file has a diagram
+const MERMAID_URL = 'https://cdn.jsdelivr.net/npm/mermaid@12.1.0/dist/mermaid.esm.min.mjs';
+
+let mermaidLoad = null;
+let diagramCount = 0;
+
+function loadMermaid() {
+  if (!mermaidLoad) {
+    mermaidLoad = import(MERMAID_URL).then((mod) => mod.default).catch((err) => {
+      mermaidLoad = null;
+      throw err;
+    });
+  }
+  return mermaidLoad;
+}
+
+async function renderDiagrams(container) {
+  const blocks = container.querySelectorAll('.mermaid-block');
+  if (!blocks.length) return;
+
+  let mermaid;
+  try {
+    mermaid = await loadMermaid();
+  } catch (err) {
+    log.warn('mermaid: load failed', { error: err.message });
+    return;
+  }
+  mermaid.initialize({
+    startOnLoad: false,
+    securityLevel: 'strict',
+    suppressErrorRendering: true,
+    theme: document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'default',
+  });
+
+  for (const block of blocks) {
+    const source = block.querySelector('.mermaid-source');
+    let output = block.querySelector('.mermaid-svg');
+    try {
+      const { svg } = await mermaid.render('mermaid-' + ++diagramCount, source.textContent);
+      if (!output) {
+        output = document.createElement('div');
+        output.className = 'mermaid-svg';
+        block.appendChild(output);
+      }
+      output.innerHTML = svg;
+      source.hidden = true;
+      block.classList.remove('mermaid-error');
+      block.removeAttribute('title');
+    } catch (err) {
+      if (output) output.remove();
+      source.hidden = false;
+      block.classList.add('mermaid-error');
+      block.title = err.message || 'Invalid diagram';
+    }
+  }
+}
+
+// ── Format-aware rendering ──────────────────────────────────────────────────
+// Uploads record a `format` of markdown, mdx or text. MDX import/export lines
+// and bare JSX tag lines are stripped; anything between tags renders as markdown.
+// A leading front matter block is stripped too; the server parses it and the
+// viewer shows it as a properties panel.
+
+const FRONT_MATTER_RE = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+const MDX_ESM_RE = /^(import|export)\s.*$/gm;
+const MDX_JSX_LINE_RE = /^\s*<\/?[A-Z][\w.]*(\s[^>]*)?\/?>\s*$/gm;
+const MDX_COMMENT_RE = /\{\/\*[\s\S]*?\*\/\}/g;
+
+function stripMdx(content) {
+  return content
+    .replace(MDX_COMMENT_RE, '')
+    .replace(MDX_ESM_RE, '')
+    .replace(MDX_JSX_LINE_RE, '');
+}
+
+// Markdown allows raw HTML, and shared or imported files come from other
+// people, so the output is sanitized before it reaches the page. Without
+// DOMPurify (e.g. the CDN is blocked) files show as plain text rather than
+// unsanitized HTML.
+function renderContent(content, format, wikiLinks) {
+  if (format === 'text' || !window.DOMPurify) {
+    return '<pre class="plain-text"><code>' + md.utils.escapeHtml(content) + '</code></pre>';
+  }
+  const body = content.replace(FRONT_MATTER_RE, '');
+  return DOMPurify.sanitize(md.render(format === 'mdx' ? stripMdx(body) : body, { wikiLinks }));
+}
+
+// Properties panel for parsed front matter. Title, description and date lead;
+// other keys follow in their original order.
+const PROPERTY_ORDER = ['title', 'description', 'date'];
+
+function formatPropertyValue(key, value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (key === 'date' && /^\d{4}-\d{2}-\d{2}/.test(String(value)) && !isNaN(Date.parse(value))) {
+    // Date-only values are UTC midnight; format them in UTC so they don't shift a day
+    const dateOnly = String(value).length === 10;
+    return new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', timeZone: dateOnly ? 'UTC' : undefined });
+  }
+  return String(value);
+}
+
+function renderProperties(panel, frontMatter) {
+  panel.textContent = '';
+  const keys = frontMatter ? Object.keys(frontMatter) : [];
+  panel.hidden = keys.length === 0;
+  if (keys.length === 0) return;
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Properties';
+  const list = document.createElement('dl');
+  keys.sort((a, b) => {
+    const ia = PROPERTY_ORDER.indexOf(a);
+    const ib = PROPERTY_ORDER.indexOf(b);
+    return (ia === -1 ? PROPERTY_ORDER.length : ia) - (ib === -1 ? PROPERTY_ORDER.length : ib);
+  });
+  for (const key of keys) {
+    const term = document.createElement('dt');
+    term.textContent = key;
+    const value = document.createElement('dd');
+    value.textContent = formatPropertyValue(key, frontMatter[key]);
+    list.append(term, value);
+  }
+  panel.append(summary, list);
+}
+
 // ── DOM refs ────────────────────────────────────────────────────────────────
 
 const loginScreen = document.getElementById('login-screen');
 const appScreen = document.getElementById('app-screen');
 const loginForm = document.getElementById('login-form');
+const loginUsername = document.getElementById('login-username');
 const loginPassword = document.getElementById('login-password');
 const loginError = document.getElementById('login-error');
 const sidebarToggle = document.getElementById('sidebar-toggle');
@@ -52,17 +318,35 @@ const themeIconSun = document.getElementById('theme-icon-sun');
 const themeIconMoon = document.getElementById('theme-icon-moon');
 const logoutBtn = document.getElementById('logout-btn');
 const historyList = document.getElementById('history-list');
+const archiveSection = document.getElementById('archive-section');
+const archiveList = document.getElementById('archive-list');
+const archiveCount = document.getElementById('archive-count');
+const trashSection = document.getElementById('trash-section');
+const trashList = document.getElementById('trash-list');
+const trashCount = document.getElementById('trash-count');
+const emptyTrashBtn = document.getElementById('empty-trash-btn');
+const toast = document.getElementById('toast');
+const toastText = document.getElementById('toast-text');
+const toastUndoBtn = document.getElementById('toast-undo-btn');
 const clearHistoryBtn = document.getElementById('clear-history-btn');
 const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
+const importReport = document.getElementById('import-report');
 const pasteInput = document.getElementById('paste-input');
 const renderBtn = document.getElementById('render-btn');
+const urlImportForm = document.getElementById('url-import-form');
+const urlImportInput = document.getElementById('url-import-input');
+const urlImportBtn = document.getElementById('url-import-btn');
+const urlImportError = document.getElementById('url-import-error');
 const inputArea = document.getElementById('input-area');
 const viewerArea = document.getElementById('viewer-area');
 const renderedOutput = document.getElementById('rendered-output');
 const backBtn = document.getElementById('back-btn');
 const deleteFileBtn = document.getElementById('delete-file-btn');
 const copyMdBtn = document.getElementById('copy-md-btn');
+const pinBtn = document.getElementById('pin-btn');
+const refreshBtn = document.getElementById('refresh-btn');
+const openHtmlBtn = document.getElementById('open-html-btn');
 const viewerTitle = document.getElementById('viewer-title');
 const hljsThemeLink = document.getElementById('hljs-theme');
 const folderList = document.getElementById('folder-list');
@@ -70,14 +354,56 @@ const createFolderBtn = document.getElementById('create-folder-btn');
 const folderBtn = document.getElementById('folder-btn');
 const folderDropdown = document.getElementById('folder-dropdown');
 const viewerCreated = document.getElementById('viewer-created');
+const viewerSource = document.getElementById('viewer-source');
+const shareBtn = document.getElementById('share-btn');
+const shareDropdown = document.getElementById('share-dropdown');
+const sharedScreen = document.getElementById('shared-screen');
+const sharedTitle = document.getElementById('shared-title');
+const sharedCreated = document.getElementById('shared-created');
+const sharedOutput = document.getElementById('shared-output');
+const sharedError = document.getElementById('shared-error');
+const sharedProperties = document.getElementById('shared-properties');
+const viewerProperties = document.getElementById('viewer-properties');
+const viewerScroll = document.getElementById('viewer-scroll');
+const backlinksSection = document.getElementById('backlinks');
+const backlinksList = document.getElementById('backlinks-list');
+const toc = document.getElementById('toc');
+const tocList = document.getElementById('toc-list');
+const tocBtn = document.getElementById('toc-btn');
+const editBtn = document.getElementById('edit-btn');
+const editCancelBtn = document.getElementById('edit-cancel-btn');
+const editSaveBtn = document.getElementById('edit-save-btn');
+const editorInput = document.getElementById('editor-input');
+const revisionsBtn = document.getElementById('revisions-btn');
+const revisionsDropdown = document.getElementById('revisions-dropdown');
+const revisionBanner = document.getElementById('revision-banner');
+const revisionBannerText = document.getElementById('revision-banner-text');
+const revisionRestoreBtn = document.getElementById('revision-restore-btn');
+const revisionCloseBtn = document.getElementById('revision-close-btn');
+const diffOutput = document.getElementById('diff-output');
+const searchInput = document.getElementById('search-input');
+const searchPanel = document.getElementById('search-panel');
+const searchResults = document.getElementById('search-results');
+const libraryPanel = document.getElementById('library-panel');
+const tagFilter = document.getElementById('tag-filter');
+const viewerTags = document.getElementById('viewer-tags');
 
 let foldersData = [];
+let historyData = [];
+let tagsData = [];
+let activeTag = null;
 let currentFileId = null;
 let currentFileSource = null;
 let currentRawMarkdown = null;
 let currentFilename = null;
+let currentFormat = 'markdown';
+let currentLinks = {};
+let currentSourceUrl = null;
+let isEditing = false;
+let viewingRevision = null;
 
 // ── Sidebar polling ─────────────────────────────────────────────────────────
+// The fallback for when live updates (below) aren't connected
 
 const POLL_ACTIVE_MS = 5000;
 const POLL_IDLE_MS = 30000;
@@ -87,6 +413,8 @@ const IDLE_THRESHOLD_MS = 120000;
 let pollTimer = null;
 let lastHistoryHash = null;
 let lastFoldersHash = null;
+// The folders version the sidebar was drawn from (see postFolderMove)
+let foldersETag = null;
 let pollInFlight = false;
 let consecutiveErrors = 0;
 let lastActivity = Date.now();
@@ -142,6 +470,41 @@ function stopPolling() {
   log.info('poll: stopped');
 }
 
+// Re-renders the parts of the sidebar that changed since the last refresh
+async function refreshSidebar() {
+  const [historyPage, foldersRes] = await Promise.all([
+    reloadHistoryPages(),
+    api('/api/folders'),
+  ]);
+  const history = historyPage.entries;
+  const folders = await foldersRes.json();
+  foldersETag = foldersRes.headers.get('ETag');
+
+  const historyHash = JSON.stringify(history);
+  const foldersHash = JSON.stringify(folders);
+
+  const historyChanged = historyHash !== lastHistoryHash;
+  const foldersChanged = foldersHash !== lastFoldersHash;
+
+  if (historyChanged) {
+    lastHistoryHash = historyHash;
+    historyData = history;
+    historyCursor = historyPage.nextCursor;
+    renderHistoryList(history);
+    loadTags();
+    // Retention runs and deletes from other tabs change history together
+    // with the archive and trash
+    loadArchive();
+    loadTrash();
+  }
+  if (foldersChanged) {
+    lastFoldersHash = foldersHash;
+    foldersData = folders;
+    renderFolderList(folders);
+  }
+  return { historyChanged, foldersChanged };
+}
+
 async function pollSidebar() {
   pollTimer = null;
 
@@ -164,33 +527,13 @@ async function pollSidebar() {
 
   pollInFlight = true;
   try {
-    const [historyRes, foldersRes] = await Promise.all([
-      api('/api/history'),
-      api('/api/folders'),
-    ]);
-    const history = await historyRes.json();
-    const folders = await foldersRes.json();
+    const { historyChanged, foldersChanged } = await refreshSidebar();
 
     if (consecutiveErrors > 0) {
       log.info('poll: recovered after errors', { previousErrors: consecutiveErrors });
     }
     consecutiveErrors = 0;
 
-    const historyHash = JSON.stringify(history);
-    const foldersHash = JSON.stringify(folders);
-
-    const historyChanged = historyHash !== lastHistoryHash;
-    const foldersChanged = foldersHash !== lastFoldersHash;
-
-    if (historyChanged) {
-      lastHistoryHash = historyHash;
-      renderHistoryList(history);
-    }
-    if (foldersChanged) {
-      lastFoldersHash = foldersHash;
-      foldersData = folders;
-      renderFolderList(folders);
-    }
     if (historyChanged || foldersChanged) {
       log.info('poll: sidebar updated', { historyChanged, foldersChanged });
     }
@@ -211,6 +554,112 @@ document.addEventListener('visibilitychange', () => {
   }
 });
 
+// ── Live updates ────────────────────────────────────────────────────────────
+// A WebSocket to /api/events delivers the changes other tabs make (see
+// src/events.js). While it's open polling stops; when it drops, polling takes
+// over until a reconnect succeeds.
+
+const LIVE_PING_MS = 30000;
+const LIVE_RETRY_MS = 2000;
+const LIVE_MAX_RETRY_MS = 60000;
+const LIVE_REFRESH_DEBOUNCE_MS = 250;
+
+// Identifies this tab's own changes so they aren't echoed back
+const CLIENT_ID = crypto.randomUUID();
+
+let liveSocket = null;
+let livePingTimer = null;
+let liveRetryTimer = null;
+let liveRetryDelay = LIVE_RETRY_MS;
+let liveRefreshTimer = null;
+
+function connectLive() {
+  if (liveSocket || !('WebSocket' in window)) return;
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const socket = new WebSocket(protocol + '//' + location.host + '/api/events?client=' + CLIENT_ID);
+  liveSocket = socket;
+
+  socket.addEventListener('open', () => {
+    log.info('live: connected');
+    liveRetryDelay = LIVE_RETRY_MS;
+    stopPolling();
+    // Catch up on anything missed while disconnected
+    scheduleLiveRefresh();
+    livePingTimer = setInterval(() => socket.send('ping'), LIVE_PING_MS);
+  });
+
+  socket.addEventListener('message', (e) => {
+    if (e.data === 'pong') return;
+    let event;
+    try {
+      event = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+    handleLiveEvent(event);
+  });
+
+  socket.addEventListener('close', () => {
+    clearInterval(livePingTimer);
+    livePingTimer = null;
+    if (liveSocket !== socket) return;
+    liveSocket = null;
+    log.warn('live: disconnected, polling until reconnected', { retryMs: liveRetryDelay });
+    startPolling();
+    liveRetryTimer = setTimeout(() => {
+      liveRetryTimer = null;
+      connectLive();
+    }, liveRetryDelay);
+    liveRetryDelay = Math.min(liveRetryDelay * 2, LIVE_MAX_RETRY_MS);
+  });
+}
+
+function disconnectLive() {
+  clearTimeout(liveRetryTimer);
+  liveRetryTimer = null;
+  clearInterval(livePingTimer);
+  livePingTimer = null;
+  const socket = liveSocket;
+  liveSocket = null;
+  if (socket) socket.close();
+}
+
+// Events tend to arrive in bursts (a batch upload, a folder trash); one
+// sidebar refresh covers them
+function scheduleLiveRefresh() {
+  clearTimeout(liveRefreshTimer);
+  liveRefreshTimer = setTimeout(async () => {
+    liveRefreshTimer = null;
+    try {
+      await refreshSidebar();
+    } catch (err) {
+      log.error('live: refresh failed', { error: err.message });
+    }
+  }, LIVE_REFRESH_DEBOUNCE_MS);
+}
+
+function handleLiveEvent(event) {
+  log.debug('live: ' + event.type, event);
+  scheduleLiveRefresh();
+
+  const affectsOpenFile = currentFileId && (event.fileId === currentFileId || event.fileIds?.includes(currentFileId));
+  if (!affectsOpenFile) return;
+  if (event.type === 'file.rename') {
+    viewerTitle.textContent = event.filename;
+    currentFilename = event.filename;
+  } else if (event.type === 'file.delete' || event.type === 'folder.delete') {
+    if (!isEditing) {
+      showInputArea();
+      showToast('This file was moved to the trash in another tab');
+    }
+  } else if (event.type === 'file.update' && !isEditing && !viewingRevision) {
+    const scrollTop = viewerScroll.scrollTop;
+    viewFile(currentFileId, { updateUrl: false, countView: false }).then(() => {
+      viewerScroll.scrollTop = scrollTop;
+    });
+  }
+}
+
 // ── Client-side routing ─────────────────────────────────────────────────────
 
 const UUID_RE = /^\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
@@ -220,19 +669,38 @@ function getFileIdFromPath() {
   return match ? match[1] : null;
 }
 
+const SHARE_RE = /^\/s\/([0-9a-f]{32})$/;
+
+function getShareTokenFromPath() {
+  const match = location.pathname.match(SHARE_RE);
+  return match ? match[1] : null;
+}
+
 function pushUrl(path) {
   if (location.pathname !== path) {
     history.pushState(null, '', path);
   }
 }
 
+// A `title:` in front matter wins over the first heading
 function extractTitle(markdown) {
-  const match = markdown.match(/^#{1,6}\s+(.+)$/m);
+  const frontMatter = markdown.match(FRONT_MATTER_RE);
+  const fmTitle = frontMatter && (frontMatter[1] || '').match(/^title:[ \t]*(.+)$/m);
+  if (fmTitle) {
+    const title = fmTitle[1].trim().replace(/^(["'])(.*)\1$/, '$2').trim();
+    if (title) return title;
+  }
+  const match = markdown.replace(FRONT_MATTER_RE, '').match(/^#{1,6}\s+(.+)$/m);
   return match ? match[1].trim() : null;
 }
 
 window.addEventListener('popstate', () => {
   const id = getFileIdFromPath();
+  // Following a #heading link within the open file only needs a scroll
+  if (id && id === currentFileId) {
+    scrollToHash(renderedOutput);
+    return;
+  }
   if (id) {
     viewFile(id, { updateUrl: false });
   } else {
@@ -244,8 +712,8 @@ window.addEventListener('popstate', () => {
 
 async function api(path, opts = {}) {
   const res = await fetch(path, {
-    headers: { 'Content-Type': 'application/json', ...opts.headers },
     ...opts,
+    headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID, ...opts.headers },
   });
   if (res.status === 401 && !path.includes('/auth/')) {
     showLogin();
@@ -273,6 +741,7 @@ async function checkAuth() {
 function showLogin() {
   loginScreen.hidden = false;
   appScreen.hidden = true;
+  disconnectLive();
   stopPolling();
 }
 
@@ -281,7 +750,11 @@ function showApp() {
   appScreen.hidden = false;
   loadFolders();
   loadHistory();
+  loadArchive();
+  loadTrash();
+  loadUploadTypes();
   startPolling();
+  connectLive();
   const deepLinkId = getFileIdFromPath();
   if (deepLinkId) {
     viewFile(deepLinkId, { updateUrl: false });
@@ -294,7 +767,7 @@ loginForm.addEventListener('submit', async (e) => {
   try {
     const res = await api('/api/auth/login', {
       method: 'POST',
-      body: JSON.stringify({ password: loginPassword.value }),
+      body: JSON.stringify({ username: loginUsername.value, password: loginPassword.value }),
     });
     if (res.ok) {
       loginPassword.value = '';
@@ -309,6 +782,14 @@ loginForm.addEventListener('submit', async (e) => {
 
 logoutBtn.addEventListener('click', async () => {
   await api('/api/auth/logout', { method: 'POST' });
+  clearSearch();
+  importReport.hidden = true;
+  archiveSection.hidden = true;
+  trashSection.hidden = true;
+  hideToast();
+  activeTag = null;
+  tagFilter.hidden = true;
+  showInputArea();
   showLogin();
 });
 
@@ -323,6 +804,9 @@ function setTheme(theme) {
   hljsThemeLink.href = isDark
     ? 'https://cdn.jsdelivr.net/npm/highlight.js@11.11.1/styles/github-dark.min.css'
     : 'https://cdn.jsdelivr.net/npm/highlight.js@11.11.1/styles/github.min.css';
+  // Diagrams bake their colours into the SVG, so redraw them
+  renderDiagrams(renderedOutput);
+  renderDiagrams(sharedOutput);
 }
 
 function initTheme() {
@@ -365,17 +849,167 @@ sidebarToggle.addEventListener('click', () => {
 
 sidebarOverlay.addEventListener('click', closeSidebar);
 
+// ── Search ──────────────────────────────────────────────────────────────────
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+let searchTimer = null;
+let searchSeq = 0;
+
+function appendHighlighted(el, text, highlights) {
+  let pos = 0;
+  for (const [start, end] of highlights) {
+    if (start > pos) el.appendChild(document.createTextNode(text.slice(pos, start)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    el.appendChild(mark);
+    pos = end;
+  }
+  if (pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
+}
+
+function renderSearchResults(results) {
+  searchResults.textContent = '';
+
+  if (results.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent = 'No matches';
+    searchResults.appendChild(empty);
+    return;
+  }
+
+  for (const result of results) {
+    const li = document.createElement('li');
+    li.className = 'search-result';
+    li.addEventListener('click', () => viewFile(result.id));
+
+    const title = document.createElement('div');
+    title.className = 'search-result-title';
+    appendHighlighted(title, result.filename, result.titleHighlights);
+
+    const snippet = document.createElement('div');
+    snippet.className = 'search-result-snippet';
+    appendHighlighted(snippet, result.snippet.text, result.snippet.highlights);
+
+    li.append(title, snippet);
+    searchResults.appendChild(li);
+  }
+}
+
+async function runSearch(query) {
+  const seq = ++searchSeq;
+  try {
+    const res = await api('/api/search?q=' + encodeURIComponent(query));
+    if (!res.ok || seq !== searchSeq) return;
+    const results = await res.json();
+    if (seq !== searchSeq) return;
+    renderSearchResults(results);
+    log.debug('search: results', { count: results.length });
+  } catch {}
+}
+
+function clearSearch() {
+  clearTimeout(searchTimer);
+  searchSeq++;
+  searchInput.value = '';
+  searchResults.textContent = '';
+  searchPanel.hidden = true;
+  libraryPanel.hidden = false;
+}
+
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  const query = searchInput.value.trim();
+  if (!query) {
+    clearSearch();
+    return;
+  }
+  searchPanel.hidden = false;
+  libraryPanel.hidden = true;
+  searchTimer = setTimeout(() => runSearch(query), SEARCH_DEBOUNCE_MS);
+});
+
+searchInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') clearSearch();
+});
+
 // ── History ─────────────────────────────────────────────────────────────────
+// Loaded a page at a time; scrolling to the end of the list loads the next.
+// A tag filter is applied by the server so pages stay full.
+
+const HISTORY_PAGE_SIZE = 50;
+
+let historyCursor = null;
+let historyLoadingMore = false;
+
+async function fetchHistory(limit, cursor) {
+  const params = new URLSearchParams({ limit });
+  if (cursor) params.set('cursor', cursor);
+  if (activeTag) params.set('tag', activeTag);
+  const res = await api('/api/history?' + params);
+  return { entries: await res.json(), nextCursor: res.headers.get('X-Next-Cursor') };
+}
+
+// Reloads fetch as many pages as are shown, so refreshing the sidebar
+// doesn't cut a scrolled list back to its first page
+async function reloadHistoryPages() {
+  const shown = Math.max(HISTORY_PAGE_SIZE, historyData.length);
+  let entries = [];
+  let cursor = null;
+  do {
+    const page = await fetchHistory(HISTORY_PAGE_SIZE, cursor);
+    entries = entries.concat(page.entries);
+    cursor = page.nextCursor;
+  } while (cursor && entries.length < shown);
+  return { entries, nextCursor: cursor };
+}
 
 async function loadHistory() {
   try {
-    const res = await api('/api/history');
-    const history = await res.json();
-    lastHistoryHash = JSON.stringify(history);
-    renderHistoryList(history);
+    const { entries, nextCursor } = await reloadHistoryPages();
+    lastHistoryHash = JSON.stringify(entries);
+    historyData = entries;
+    historyCursor = nextCursor;
+    renderHistoryList(entries);
+    loadTags();
   } catch {}
 }
 
+async function loadMoreHistory() {
+  if (!historyCursor || historyLoadingMore) return;
+  historyLoadingMore = true;
+  try {
+    const { entries, nextCursor } = await fetchHistory(HISTORY_PAGE_SIZE, historyCursor);
+    // An entry viewed in another tab meanwhile may already be at the top
+    const shown = new Set(historyData.map((h) => h.id));
+    const fresh = entries.filter((h) => !shown.has(h.id));
+    historyData = historyData.concat(fresh);
+    lastHistoryHash = JSON.stringify(historyData);
+    historyCursor = nextCursor;
+    appendHistoryEntries(fresh);
+  } catch {} finally {
+    historyLoadingMore = false;
+  }
+}
+
+const historyMore = document.createElement('li');
+historyMore.className = 'history-more';
+historyMore.textContent = 'Loading\u2026';
+
+const historyMoreObserver = new IntersectionObserver((entries) => {
+  if (entries.some((entry) => entry.isIntersecting)) loadMoreHistory();
+});
+
+// Keeps the "Loading…" row at the end of the list while more pages remain
+function updateHistoryMore() {
+  historyMoreObserver.unobserve(historyMore);
+  historyMore.remove();
+  if (!historyCursor) return;
+  historyList.appendChild(historyMore);
+  historyMoreObserver.observe(historyMore);
+}
+
 function createFolderBadgeSvg() {
   const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
   svg.setAttribute('viewBox', '0 0 24 24');
@@ -394,12 +1028,17 @@ function renderHistoryList(history) {
   if (history.length === 0) {
     const empty = document.createElement('li');
     empty.className = 'history-empty';
-    empty.textContent = 'No history yet';
+    empty.textContent = activeTag ? 'No history tagged #' + activeTag : 'No history yet';
     historyList.appendChild(empty);
+    updateHistoryMore();
     return;
   }
 
-  for (const entry of history) {
+  appendHistoryEntries(history);
+}
+
+function appendHistoryEntries(entries) {
+  for (const entry of entries) {
     const li = document.createElement('li');
     li.addEventListener('click', () => viewFile(entry.id));
 
@@ -412,7 +1051,7 @@ function renderHistoryList(history) {
 
     const sourceTag = document.createElement('span');
     sourceTag.className = 'history-source';
-    sourceTag.textContent = entry.source === 'paste' ? 'paste' : 'file';
+    sourceTag.textContent = entry.source === 'paste' || entry.source === 'url' ? entry.source : 'file';
 
     const name = document.createElement('span');
     name.className = 'history-name';
@@ -441,208 +1080,706 @@ function renderHistoryList(history) {
     li.appendChild(removeBtn);
     historyList.appendChild(li);
   }
+  updateHistoryMore();
 }
 
-clearHistoryBtn.addEventListener('click', async () => {
-  await api('/api/history', { method: 'DELETE' });
-  loadHistory();
-});
-
-// ── Folders ──────────────────────────────────────────────────────────────────
+// ── Tags ────────────────────────────────────────────────────────────────────
+// Picking a tag in the sidebar narrows history and folders to files with it.
 
-async function loadFolders() {
+async function loadTags() {
   try {
-    const res = await api('/api/folders');
-    foldersData = await res.json();
-    lastFoldersHash = JSON.stringify(foldersData);
-    renderFolderList(foldersData);
+    const res = await api('/api/tags');
+    tagsData = await res.json();
+    renderTagFilter();
   } catch {}
 }
 
-function createChevronSvg() {
-  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-  svg.setAttribute('width', '10');
-  svg.setAttribute('height', '10');
-  svg.setAttribute('viewBox', '0 0 24 24');
-  svg.setAttribute('fill', 'currentColor');
-  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-  path.setAttribute('d', 'M9 6l6 6-6 6');
-  path.setAttribute('fill', 'none');
-  path.setAttribute('stroke', 'currentColor');
-  path.setAttribute('stroke-width', '3');
-  svg.appendChild(path);
-  return svg;
+function renderTagFilter() {
+  tagFilter.textContent = '';
+  // Keep the active chip around (so it can be cleared) even once no file has it
+  const tags = activeTag && !tagsData.some((t) => t.tag === activeTag)
+    ? [...tagsData, { tag: activeTag, count: 0 }]
+    : tagsData;
+  tagFilter.hidden = tags.length === 0;
+
+  for (const { tag, count } of tags) {
+    const chip = document.createElement('button');
+    chip.className = 'tag-chip' + (tag === activeTag ? ' active' : '');
+    chip.textContent = '#' + tag;
+    chip.title = tag === activeTag ? 'Clear filter' : 'Show only files tagged #' + tag;
+
+    const countEl = document.createElement('span');
+    countEl.className = 'tag-chip-count';
+    countEl.textContent = count;
+    chip.appendChild(countEl);
+
+    chip.addEventListener('click', () => setTagFilter(tag === activeTag ? null : tag));
+    tagFilter.appendChild(chip);
+  }
 }
 
-function renderFolderList(folders) {
-  folderList.textContent = '';
+function setTagFilter(tag) {
+  activeTag = tag;
+  renderTagFilter();
+  // A different filter starts again from the first page
+  historyData = [];
+  loadHistory();
+  renderFolderList(foldersData);
+}
 
-  if (folders.length === 0) {
-    const empty = document.createElement('li');
-    empty.className = 'folder-empty';
-    empty.textContent = 'No folders yet';
-    folderList.appendChild(empty);
-    return;
+// Copy of the folder tree with only the files tagged `tag`, and only the
+// folders that have such a file somewhere inside
+function filterFoldersByTag(folders, tag) {
+  const out = [];
+  for (const folder of folders) {
+    const files = folder.files.filter((f) => f.tags.includes(tag));
+    const children = filterFoldersByTag(folder.children, tag);
+    if (files.length > 0 || children.length > 0) out.push({ ...folder, files, children });
   }
+  return out;
+}
 
-  const expandedState = JSON.parse(localStorage.getItem('folderExpandState') || '{}');
+function renderViewerTags(tags) {
+  viewerTags.textContent = '';
+  viewerTags.hidden = false;
+
+  for (const tag of tags) {
+    const chip = document.createElement('span');
+    chip.className = 'tag-chip';
+    chip.textContent = '#' + tag;
+    chip.title = 'Show only files tagged #' + tag;
+    chip.addEventListener('click', () => {
+      setTagFilter(tag);
+      openSidebar();
+    });
 
-  for (const folder of folders) {
-    const li = document.createElement('li');
-    li.className = 'folder-item';
-    li.dataset.folderId = folder.id;
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'tag-chip-remove';
+    removeBtn.textContent = '\u00D7';
+    removeBtn.title = 'Remove tag';
+    removeBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const res = await api('/api/files/' + encodeURIComponent(currentFileId) + '/tags/' + encodeURIComponent(tag), { method: 'DELETE' });
+      if (!res.ok) return;
+      renderViewerTags((await res.json()).tags);
+      loadHistory();
+      loadFolders();
+    });
 
-    const isExpanded = expandedState[folder.id] === true;
+    chip.appendChild(removeBtn);
+    viewerTags.appendChild(chip);
+  }
 
-    const header = document.createElement('div');
-    header.className = 'folder-header';
+  const addBtn = document.createElement('button');
+  addBtn.className = 'tag-chip';
+  addBtn.textContent = '+ Tag';
+  addBtn.addEventListener('click', addTagsToCurrentFile);
+  viewerTags.appendChild(addBtn);
+}
 
-    const chevron = document.createElement('span');
-    chevron.className = 'folder-chevron' + (isExpanded ? ' expanded' : '');
-    chevron.appendChild(createChevronSvg());
+async function addTagsToCurrentFile() {
+  const answer = prompt('Add tags (comma-separated)');
+  if (!answer || !currentFileId) return;
+  const tags = answer.split(',').map((t) => t.trim()).filter(Boolean);
+  if (tags.length === 0) return;
 
-    const name = document.createElement('span');
-    name.className = 'folder-name';
-    name.textContent = folder.name;
+  const res = await api('/api/files/' + encodeURIComponent(currentFileId) + '/tags', {
+    method: 'POST',
+    body: JSON.stringify({ tags }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    alert(data.error || 'Could not add tags');
+    return;
+  }
+  renderViewerTags(data.tags);
+  loadHistory();
+  loadFolders();
+}
+
+// ── Archive ─────────────────────────────────────────────────────────────────
+// Files retention has archived; they are deleted once daysLeft reaches zero.
+
+async function loadArchive() {
+  try {
+    const res = await api('/api/archive');
+    renderArchiveList(await res.json());
+  } catch {}
+}
 
-    const count = document.createElement('span');
-    count.className = 'folder-count';
-    count.textContent = '(' + folder.files.length + ')';
+function renderArchiveList(files) {
+  archiveList.textContent = '';
+  archiveSection.hidden = files.length === 0;
+  archiveCount.textContent = '(' + files.length + ')';
 
-    const actions = document.createElement('span');
-    actions.className = 'folder-actions';
+  for (const file of files) {
+    const li = document.createElement('li');
+    li.title = 'Open to restore';
+    li.addEventListener('click', () => viewFile(file.id));
+
+    const name = document.createElement('span');
+    name.className = 'history-name';
+    name.textContent = file.filename;
 
-    const renameBtn = document.createElement('button');
-    renameBtn.className = 'folder-action-btn';
-    renameBtn.title = 'Rename folder';
-    renameBtn.textContent = '\u270E';
-    renameBtn.addEventListener('click', (e) => {
+    const days = document.createElement('span');
+    days.className = 'archive-days' + (file.daysLeft <= 7 ? ' soon' : '');
+    days.textContent = file.daysLeft === 0 ? 'today' : file.daysLeft + 'd left';
+    days.title = file.deletesAt ? 'Deleted ' + new Date(file.deletesAt).toLocaleDateString() : '';
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'archive-action';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', async (e) => {
       e.stopPropagation();
-      startFolderRename(folder, name);
+      await api('/api/archive/' + encodeURIComponent(file.id) + '/restore', { method: 'POST' });
+      loadArchive();
+      loadHistory();
     });
 
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'folder-action-btn danger';
-    deleteBtn.title = 'Delete folder';
-    deleteBtn.textContent = '\u00D7';
-    deleteBtn.addEventListener('click', (e) => {
+    const pinArchivedBtn = document.createElement('button');
+    pinArchivedBtn.className = 'archive-action';
+    pinArchivedBtn.textContent = 'Pin';
+    pinArchivedBtn.title = 'Restore and never archive again';
+    pinArchivedBtn.addEventListener('click', async (e) => {
       e.stopPropagation();
-      deleteFolder(folder);
+      await api('/api/files/' + encodeURIComponent(file.id) + '/pin', { method: 'POST' });
+      loadArchive();
+      loadHistory();
     });
 
-    actions.append(renameBtn, deleteBtn);
-    header.append(chevron, name, count, actions);
+    li.append(name, days, restoreBtn, pinArchivedBtn);
+    archiveList.appendChild(li);
+  }
+}
 
-    header.addEventListener('click', () => {
-      const state = JSON.parse(localStorage.getItem('folderExpandState') || '{}');
-      state[folder.id] = !isExpanded;
-      localStorage.setItem('folderExpandState', JSON.stringify(state));
-      renderFolderList(foldersData);
-    });
+// ── Trash ───────────────────────────────────────────────────────────────────
+// Deleted files and folders wait here until the daily cron purges them.
 
-    header.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      e.dataTransfer.dropEffect = 'move';
-      header.classList.add('drag-over');
-    });
+async function loadTrash() {
+  try {
+    const res = await api('/api/trash');
+    renderTrashList(await res.json());
+  } catch {}
+}
 
-    header.addEventListener('dragleave', () => {
-      header.classList.remove('drag-over');
-    });
+function trashPath(item) {
+  return '/api/trash/' + item.type + 's/' + encodeURIComponent(item.id);
+}
 
-    header.addEventListener('drop', async (e) => {
-      e.preventDefault();
-      header.classList.remove('drag-over');
-      const fileId = e.dataTransfer.getData('text/plain');
-      const sourceFolderId = e.dataTransfer.getData('application/x-source-folder');
-      if (!fileId) return;
-
-      if (sourceFolderId && sourceFolderId !== folder.id) {
-        await api('/api/folders/' + encodeURIComponent(sourceFolderId) + '/files/' + encodeURIComponent(fileId) + '/move', {
-          method: 'POST',
-          body: JSON.stringify({ targetFolderId: folder.id }),
-        });
-      } else if (!sourceFolderId) {
-        await api('/api/folders/' + encodeURIComponent(folder.id) + '/files', {
-          method: 'POST',
-          body: JSON.stringify({ fileId }),
-        });
-      }
-      loadFolders();
-      loadHistory();
-    });
+async function restoreFromTrash(item) {
+  const res = await api(trashPath(item) + '/restore', { method: 'POST' });
+  loadTrash();
+  loadHistory();
+  loadFolders();
+  return res.ok;
+}
 
-    li.appendChild(header);
-
-    if (isExpanded) {
-      const fileUl = document.createElement('ul');
-      fileUl.className = 'folder-files';
-
-      for (const file of folder.files) {
-        const fileLi = document.createElement('li');
-        fileLi.className = 'folder-file-item';
-        fileLi.addEventListener('click', () => viewFile(file.id));
-
-        fileLi.draggable = true;
-        fileLi.dataset.fileId = file.id;
-        fileLi.dataset.sourceFolderId = folder.id;
-        fileLi.addEventListener('dragstart', (e) => {
-          e.dataTransfer.setData('text/plain', file.id);
-          e.dataTransfer.setData('application/x-source-folder', folder.id);
-          e.dataTransfer.effectAllowed = 'move';
-        });
-
-        const fileName = document.createElement('span');
-        fileName.className = 'folder-file-name';
-        fileName.textContent = file.filename;
-
-        const removeBtn = document.createElement('button');
-        removeBtn.className = 'folder-file-remove';
-        removeBtn.textContent = '\u00D7';
-        removeBtn.title = 'Remove from folder';
-        removeBtn.addEventListener('click', async (e) => {
-          e.stopPropagation();
-          await api('/api/folders/' + encodeURIComponent(folder.id) + '/files/' + encodeURIComponent(file.id), { method: 'DELETE' });
-          loadFolders();
-        });
-
-        fileLi.append(fileName, removeBtn);
-        fileUl.appendChild(fileLi);
-      }
+function renderTrashList(items) {
+  trashList.textContent = '';
+  trashSection.hidden = items.length === 0;
+  trashCount.textContent = '(' + items.length + ')';
+
+  for (const item of items) {
+    const li = document.createElement('li');
 
-      li.appendChild(fileUl);
+    const name = document.createElement('span');
+    name.className = 'history-name';
+    name.textContent = item.name;
+    if (item.type === 'folder') {
+      name.prepend(createFolderBadgeSvg());
+      name.title = item.fileCount + ' file(s)' + (item.folderCount > 0 ? ', ' + item.folderCount + ' subfolder(s)' : '');
     }
 
-    folderList.appendChild(li);
+    const days = document.createElement('span');
+    days.className = 'archive-days' + (item.daysLeft !== null && item.daysLeft <= 3 ? ' soon' : '');
+    days.textContent = item.daysLeft === null ? '' : item.daysLeft === 0 ? 'today' : item.daysLeft + 'd left';
+    days.title = item.purgesAt ? 'Purged ' + new Date(item.purgesAt).toLocaleDateString() : '';
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'archive-action';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => restoreFromTrash(item));
+
+    const purgeBtn = document.createElement('button');
+    purgeBtn.className = 'archive-action danger';
+    purgeBtn.textContent = 'Delete';
+    purgeBtn.title = 'Delete permanently';
+    purgeBtn.addEventListener('click', async () => {
+      if (!confirm('Permanently delete "' + item.name + '"? This cannot be undone.')) return;
+      await api(trashPath(item), { method: 'DELETE' });
+      loadTrash();
+    });
+
+    li.append(name, days, restoreBtn, purgeBtn);
+    trashList.appendChild(li);
   }
 }
 
-createFolderBtn.addEventListener('click', () => {
-  const input = document.createElement('input');
-  input.type = 'text';
-  input.className = 'folder-inline-input';
-  input.placeholder = 'Folder name...';
+emptyTrashBtn.addEventListener('click', async () => {
+  if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+  await api('/api/trash', { method: 'DELETE' });
+  loadTrash();
+});
 
-  const li = document.createElement('li');
-  li.className = 'folder-item';
-  li.appendChild(input);
-  folderList.prepend(li);
-  input.focus();
+// ── Toast ───────────────────────────────────────────────────────────────────
 
-  let saving = false;
-  async function save() {
-    if (saving) return;
-    saving = true;
-    const name = input.value.trim();
-    if (!name) {
-      li.remove();
-      return;
-    }
-    await api('/api/folders', { method: 'POST', body: JSON.stringify({ name }) });
-    loadFolders();
-  }
+const TOAST_MS = 8000;
 
-  input.addEventListener('keydown', (e) => {
+let toastTimer = null;
+let toastUndo = null;
+
+function showUndoToast(message, undo) {
+  clearTimeout(toastTimer);
+  toastText.textContent = message;
+  toastUndo = undo;
+  toastUndoBtn.hidden = !undo;
+  toast.hidden = false;
+  toastTimer = setTimeout(hideToast, TOAST_MS);
+}
+
+function showToast(message) {
+  showUndoToast(message, null);
+}
+
+function hideToast() {
+  clearTimeout(toastTimer);
+  toastTimer = null;
+  toastUndo = null;
+  toast.hidden = true;
+}
+
+toastUndoBtn.addEventListener('click', async () => {
+  const undo = toastUndo;
+  hideToast();
+  if (undo) await undo();
+});
+
+clearHistoryBtn.addEventListener('click', async () => {
+  await api('/api/history', { method: 'DELETE' });
+  loadHistory();
+});
+
+// ── Folders ──────────────────────────────────────────────────────────────────
+
+async function loadFolders() {
+  try {
+    const res = await api('/api/folders');
+    foldersData = await res.json();
+    foldersETag = res.headers.get('ETag');
+    lastFoldersHash = JSON.stringify(foldersData);
+    renderFolderList(foldersData);
+  } catch {}
+}
+
+function createChevronSvg() {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('width', '10');
+  svg.setAttribute('height', '10');
+  svg.setAttribute('viewBox', '0 0 24 24');
+  svg.setAttribute('fill', 'currentColor');
+  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  path.setAttribute('d', 'M9 6l6 6-6 6');
+  path.setAttribute('fill', 'none');
+  path.setAttribute('stroke', 'currentColor');
+  path.setAttribute('stroke-width', '3');
+  svg.appendChild(path);
+  return svg;
+}
+
+// Folders arrive as a tree ({ children }); this walks it depth-first.
+function flattenFolders(folders, depth = 0, out = []) {
+  for (const folder of folders) {
+    out.push({ folder, depth });
+    flattenFolders(folder.children, depth + 1, out);
+  }
+  return out;
+}
+
+function countFolderContents(folder) {
+  let files = folder.files.length;
+  let folders = 0;
+  for (const { folder: child } of flattenFolders(folder.children)) {
+    files += child.files.length;
+    folders++;
+  }
+  return { files, folders };
+}
+
+// Which part of an element the pointer is over: top/bottom quarter for
+// before/after, the middle for inside. `edgesOnly` splits it in half instead.
+function dropPosition(e, el, edgesOnly = false) {
+  const rect = el.getBoundingClientRect();
+  const y = (e.clientY - rect.top) / rect.height;
+  if (edgesOnly) return y < 0.5 ? 'before' : 'after';
+  if (y < 0.25) return 'before';
+  if (y > 0.75) return 'after';
+  return 'inside';
+}
+
+function clearDropMarker(el) {
+  el.classList.remove('drag-over', 'drag-before', 'drag-after');
+}
+
+function showDropMarker(el, position) {
+  clearDropMarker(el);
+  el.classList.add(position === 'inside' ? 'drag-over' : 'drag-' + position);
+}
+
+// Moves send back the folders version the drag started from. A 409 means
+// another tab changed the folders first; the server kept its version, so the
+// tree is reloaded for the user to try again.
+async function postFolderMove(path, body) {
+  const res = await api(path, {
+    method: 'POST',
+    body: JSON.stringify(body),
+    headers: foldersETag ? { 'If-Match': foldersETag } : {},
+  });
+  if (res.status === 409) {
+    const data = await res.json().catch(() => ({}));
+    showToast(data.error || 'Folders were changed in another tab');
+    await loadFolders();
+  }
+  return res;
+}
+
+async function moveFolder(folderId, parentId, index) {
+  await postFolderMove('/api/folders/' + encodeURIComponent(folderId) + '/move', { parentId, index });
+}
+
+// Puts a dragged file into `folderId` at `index` (the end if omitted)
+async function dropFileInFolder(e, folderId, index) {
+  const fileId = e.dataTransfer.getData('text/plain');
+  const sourceFolderId = e.dataTransfer.getData('application/x-source-folder');
+  if (!fileId) return;
+
+  if (sourceFolderId) {
+    await postFolderMove('/api/folders/' + encodeURIComponent(sourceFolderId) + '/files/' + encodeURIComponent(fileId) + '/move', {
+      targetFolderId: folderId,
+      index,
+    });
+  } else {
+    await postFolderMove('/api/folders/' + encodeURIComponent(folderId) + '/files', { fileId, index });
+  }
+}
+
+function renderFolderList(folders) {
+  folderList.textContent = '';
+  const visible = activeTag ? filterFoldersByTag(folders, activeTag) : folders;
+
+  if (visible.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'folder-empty';
+    empty.textContent = activeTag ? 'No folders with #' + activeTag + ' files' : 'No folders yet';
+    folderList.appendChild(empty);
+    return;
+  }
+
+  const expandedState = JSON.parse(localStorage.getItem('folderExpandState') || '{}');
+  for (const folder of visible) {
+    folderList.appendChild(renderFolderItem(folder, visible, expandedState));
+  }
+}
+
+function renderFolderItem(folder, siblings, expandedState) {
+  const li = document.createElement('li');
+  li.className = 'folder-item';
+  li.dataset.folderId = folder.id;
+
+  const isExpanded = expandedState[folder.id] === true;
+
+  const header = document.createElement('div');
+  header.className = 'folder-header';
+  // With a tag filter on, hidden siblings would make drop positions ambiguous
+  header.draggable = !activeTag;
+
+  const chevron = document.createElement('span');
+  chevron.className = 'folder-chevron' + (isExpanded ? ' expanded' : '');
+  chevron.appendChild(createChevronSvg());
+
+  const name = document.createElement('span');
+  name.className = 'folder-name';
+  name.textContent = folder.name;
+
+  const count = document.createElement('span');
+  count.className = 'folder-count';
+  count.textContent = '(' + countFolderContents(folder).files + ')';
+
+  const retentionBadge = document.createElement('span');
+  retentionBadge.className = 'folder-retention';
+  if (folder.retention) {
+    retentionBadge.textContent = formatRetention(folder.retention);
+    retentionBadge.title = 'Retention policy for files in this folder';
+  }
+
+  const actions = document.createElement('span');
+  actions.className = 'folder-actions';
+
+  const addBtn = document.createElement('button');
+  addBtn.className = 'folder-action-btn';
+  addBtn.title = 'New subfolder';
+  addBtn.textContent = '+';
+  addBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    createSubfolder(folder);
+  });
+
+  const renameBtn = document.createElement('button');
+  renameBtn.className = 'folder-action-btn';
+  renameBtn.title = 'Rename folder';
+  renameBtn.textContent = '\u270E';
+  renameBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    startFolderRename(folder, name);
+  });
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'folder-action-btn danger';
+  deleteBtn.title = 'Delete folder';
+  deleteBtn.textContent = '\u00D7';
+  deleteBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    deleteFolder(folder);
+  });
+
+  const exportBtn = document.createElement('a');
+  exportBtn.className = 'folder-action-btn';
+  exportBtn.title = 'Export folder as .zip';
+  exportBtn.textContent = '\u2913';
+  exportBtn.href = '/api/folders/' + encodeURIComponent(folder.id) + '/export';
+  exportBtn.download = '';
+  exportBtn.addEventListener('click', (e) => e.stopPropagation());
+
+  const retentionBtn = document.createElement('button');
+  retentionBtn.className = 'folder-action-btn';
+  retentionBtn.title = 'Retention policy';
+  retentionBtn.textContent = '\u23F1';
+  retentionBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    editFolderRetention(folder);
+  });
+
+  actions.append(addBtn, renameBtn, retentionBtn, exportBtn, deleteBtn);
+  header.append(chevron, name, count, retentionBadge, actions);
+
+  header.addEventListener('click', () => {
+    const state = JSON.parse(localStorage.getItem('folderExpandState') || '{}');
+    state[folder.id] = !isExpanded;
+    localStorage.setItem('folderExpandState', JSON.stringify(state));
+    renderFolderList(foldersData);
+  });
+
+  header.addEventListener('dragstart', (e) => {
+    e.dataTransfer.setData('application/x-folder', folder.id);
+    e.dataTransfer.effectAllowed = 'move';
+  });
+
+  // Folders can be dropped before, after or inside this one; files always
+  // go inside
+  header.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const isFolder = e.dataTransfer.types.includes('application/x-folder');
+    showDropMarker(header, isFolder ? dropPosition(e, header) : 'inside');
+  });
+
+  header.addEventListener('dragleave', () => {
+    clearDropMarker(header);
+  });
+
+  header.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    clearDropMarker(header);
+
+    const draggedFolderId = e.dataTransfer.getData('application/x-folder');
+    if (draggedFolderId) {
+      if (draggedFolderId === folder.id) return;
+      const position = dropPosition(e, header);
+      if (position === 'inside') {
+        await moveFolder(draggedFolderId, folder.id);
+      } else {
+        // Index among the siblings once the dragged folder is taken out
+        const others = siblings.filter((f) => f.id !== draggedFolderId);
+        const index = others.indexOf(folder) + (position === 'after' ? 1 : 0);
+        await moveFolder(draggedFolderId, folder.parentId, index);
+      }
+    } else {
+      await dropFileInFolder(e, folder.id);
+    }
+    loadFolders();
+    loadHistory();
+  });
+
+  li.appendChild(header);
+
+  if (isExpanded) {
+    if (folder.children.length > 0) {
+      const childUl = document.createElement('ul');
+      childUl.className = 'folder-children';
+      for (const child of folder.children) {
+        childUl.appendChild(renderFolderItem(child, folder.children, expandedState));
+      }
+      li.appendChild(childUl);
+    }
+
+    const fileUl = document.createElement('ul');
+    fileUl.className = 'folder-files';
+
+    for (const file of folder.files) {
+      const fileLi = document.createElement('li');
+      fileLi.className = 'folder-file-item';
+      fileLi.addEventListener('click', () => viewFile(file.id));
+
+      fileLi.draggable = !activeTag;
+      fileLi.dataset.fileId = file.id;
+      fileLi.dataset.sourceFolderId = folder.id;
+      fileLi.addEventListener('dragstart', (e) => {
+        e.stopPropagation();
+        e.dataTransfer.setData('text/plain', file.id);
+        e.dataTransfer.setData('application/x-source-folder', folder.id);
+        e.dataTransfer.effectAllowed = 'move';
+      });
+
+      // Dropping a file on another file places it just above or below
+      fileLi.addEventListener('dragover', (e) => {
+        if (activeTag || e.dataTransfer.types.includes('application/x-folder')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        showDropMarker(fileLi, dropPosition(e, fileLi, true));
+      });
+
+      fileLi.addEventListener('dragleave', () => {
+        clearDropMarker(fileLi);
+      });
+
+      fileLi.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        clearDropMarker(fileLi);
+        const draggedId = e.dataTransfer.getData('text/plain');
+        if (!draggedId || draggedId === file.id) return;
+        const others = folder.files.filter((f) => f.id !== draggedId);
+        const index = others.indexOf(file) + (dropPosition(e, fileLi, true) === 'after' ? 1 : 0);
+        await dropFileInFolder(e, folder.id, index);
+        loadFolders();
+        loadHistory();
+      });
+
+      const fileName = document.createElement('span');
+      fileName.className = 'folder-file-name';
+      fileName.textContent = file.filename;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'folder-file-remove';
+      removeBtn.textContent = '\u00D7';
+      removeBtn.title = 'Remove from folder';
+      removeBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await api('/api/folders/' + encodeURIComponent(folder.id) + '/files/' + encodeURIComponent(file.id), { method: 'DELETE' });
+        loadFolders();
+      });
+
+      fileLi.append(fileName, removeBtn);
+      fileUl.appendChild(fileLi);
+    }
+
+    li.appendChild(fileUl);
+  }
+
+  return li;
+}
+
+// Dropping a folder on the list background moves it to the end of the top level
+folderList.addEventListener('dragover', (e) => {
+  if (e.target !== folderList || !e.dataTransfer.types.includes('application/x-folder')) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'move';
+});
+
+folderList.addEventListener('drop', async (e) => {
+  const draggedFolderId = e.dataTransfer.getData('application/x-folder');
+  if (e.target !== folderList || !draggedFolderId) return;
+  e.preventDefault();
+  await moveFolder(draggedFolderId, null);
+  loadFolders();
+});
+
+// { archiveDays: 3, deleteDays: 7 } → "3/7d"; null days mean never
+function formatRetention(retention) {
+  const { archiveDays, deleteDays } = retention;
+  if (archiveDays === null && deleteDays === null) return 'keep';
+  if (archiveDays === null) return deleteDays + 'd';
+  return archiveDays + '/' + (deleteDays === null ? '\u221E' : deleteDays) + 'd';
+}
+
+async function editFolderRetention(folder) {
+  const current = folder.retention
+    ? (folder.retention.archiveDays ?? '') + '/' + (folder.retention.deleteDays ?? '')
+    : 'inherit';
+  const answer = prompt(
+    'Retention for "' + folder.name + '" as archive/delete days without a view (e.g. 3/7).\n'
+    + 'Leave a side blank for never, or type "inherit" to use the parent folder\'s policy.',
+    current,
+  );
+  if (answer === null) return;
+
+  let body;
+  if (answer.trim().toLowerCase() === 'inherit') {
+    body = { inherit: true };
+  } else {
+    const [archive = '', del = ''] = answer.includes('/') ? answer.split('/') : ['', answer];
+    const toDays = (v) => (v.trim() === '' ? null : Number(v));
+    body = { archiveDays: toDays(archive), deleteDays: toDays(del) };
+  }
+
+  const res = await api('/api/folders/' + encodeURIComponent(folder.id) + '/retention', {
+    method: 'PUT',
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    alert(data.error || 'Could not update retention');
+    return;
+  }
+  loadFolders();
+}
+
+async function createSubfolder(parent) {
+  const name = prompt('Subfolder name:');
+  if (!name || !name.trim()) return;
+  await api('/api/folders', { method: 'POST', body: JSON.stringify({ name: name.trim(), parentId: parent.id }) });
+  const state = JSON.parse(localStorage.getItem('folderExpandState') || '{}');
+  state[parent.id] = true;
+  localStorage.setItem('folderExpandState', JSON.stringify(state));
+  loadFolders();
+}
+
+createFolderBtn.addEventListener('click', () => {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'folder-inline-input';
+  input.placeholder = 'Folder name...';
+
+  const li = document.createElement('li');
+  li.className = 'folder-item';
+  li.appendChild(input);
+  folderList.prepend(li);
+  input.focus();
+
+  let saving = false;
+  async function save() {
+    if (saving) return;
+    saving = true;
+    const name = input.value.trim();
+    if (!name) {
+      li.remove();
+      return;
+    }
+    await api('/api/folders', { method: 'POST', body: JSON.stringify({ name }) });
+    loadFolders();
+  }
+
+  input.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') { e.preventDefault(); save(); }
     if (e.key === 'Escape') li.remove();
   });
@@ -681,17 +1818,26 @@ function startFolderRename(folder, nameEl) {
   input.addEventListener('blur', save);
 }
 
+// No confirm: the folder goes to the trash and the toast offers an undo
 async function deleteFolder(folder) {
-  if (!confirm('Delete "' + folder.name + '" and ' + folder.files.length + ' file(s)?')) return;
-  await api('/api/folders/' + encodeURIComponent(folder.id), { method: 'DELETE' });
+  const contents = countFolderContents(folder);
+  const subfolders = contents.folders > 0 ? ', ' + contents.folders + ' subfolder(s)' : '';
+  const res = await api('/api/folders/' + encodeURIComponent(folder.id), { method: 'DELETE' });
+  if (!res.ok) return;
   loadFolders();
   loadHistory();
+  loadTrash();
+  showUndoToast(
+    'Moved "' + folder.name + '"' + subfolders + ' and ' + contents.files + ' file(s) to the trash',
+    () => restoreFromTrash({ type: 'folder', id: folder.id }),
+  );
 }
 
 // ── Viewer folder button ────────────────────────────────────────────────────
 
 folderBtn.addEventListener('click', (e) => {
   e.stopPropagation();
+  shareDropdown.hidden = true;
   if (!folderDropdown.hidden) {
     folderDropdown.hidden = true;
     return;
@@ -702,6 +1848,8 @@ folderBtn.addEventListener('click', (e) => {
 
 document.addEventListener('click', () => {
   folderDropdown.hidden = true;
+  shareDropdown.hidden = true;
+  revisionsDropdown.hidden = true;
 });
 
 function renderFolderDropdown() {
@@ -726,10 +1874,11 @@ function renderFolderDropdown() {
     folderDropdown.appendChild(sep);
   }
 
-  for (const folder of foldersData) {
+  for (const { folder, depth } of flattenFolders(foldersData)) {
     const opt = document.createElement('button');
     opt.className = 'folder-dropdown-item';
     if (folder.id === currentFolderId) opt.classList.add('active');
+    opt.style.paddingLeft = 12 + depth * 14 + 'px';
     opt.textContent = folder.name;
     opt.addEventListener('click', async () => {
       if (folder.id === currentFolderId) return;
@@ -771,34 +1920,195 @@ function renderFolderDropdown() {
 
 function getCurrentFileFolderId() {
   if (!currentFileId) return null;
-  for (const folder of foldersData) {
+  for (const { folder } of flattenFolders(foldersData)) {
     if (folder.files.some((f) => f.id === currentFileId)) return folder.id;
   }
   return null;
 }
 
+// ── Viewer share button ─────────────────────────────────────────────────────
+
+const SHARE_EXPIRY_OPTIONS = [
+  { label: 'Create link (no expiry)', days: null },
+  { label: 'Create link (expires in 1 day)', days: 1 },
+  { label: 'Create link (expires in 7 days)', days: 7 },
+  { label: 'Create link (expires in 30 days)', days: 30 },
+];
+
+shareBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  folderDropdown.hidden = true;
+  if (!shareDropdown.hidden) {
+    shareDropdown.hidden = true;
+    return;
+  }
+  renderShareDropdown();
+  shareDropdown.hidden = false;
+});
+
+shareDropdown.addEventListener('click', (e) => e.stopPropagation());
+
+function formatShareExpiry(share) {
+  if (!share.expiresAt) return 'No expiry';
+  const d = new Date(share.expiresAt);
+  return 'Expires ' + d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+function copyShareUrl(share, btn) {
+  navigator.clipboard.writeText(location.origin + share.url);
+  const orig = btn.textContent;
+  btn.textContent = 'Copied!';
+  setTimeout(() => { btn.textContent = orig; }, 1500);
+}
+
+async function renderShareDropdown() {
+  shareDropdown.textContent = '';
+  const fileId = currentFileId;
+  if (!fileId) return;
+
+  let shares = [];
+  try {
+    const res = await api('/api/files/' + encodeURIComponent(fileId) + '/shares');
+    if (res.ok) shares = await res.json();
+  } catch {}
+  if (fileId !== currentFileId) return;
+
+  if (shares.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'share-dropdown-empty';
+    empty.textContent = 'No share links yet';
+    shareDropdown.appendChild(empty);
+  }
+
+  for (const share of shares) {
+    const row = document.createElement('div');
+    row.className = 'share-dropdown-row';
+
+    const label = document.createElement('span');
+    label.className = 'share-dropdown-label';
+    label.textContent = formatShareExpiry(share);
+    label.title = location.origin + share.url;
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'text-btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.addEventListener('click', () => copyShareUrl(share, copyBtn));
+
+    const revokeBtn = document.createElement('button');
+    revokeBtn.className = 'text-btn danger';
+    revokeBtn.textContent = 'Revoke';
+    revokeBtn.addEventListener('click', async () => {
+      await api('/api/shares/' + encodeURIComponent(share.token), { method: 'DELETE' });
+      renderShareDropdown();
+    });
+
+    row.append(label, copyBtn, revokeBtn);
+    shareDropdown.appendChild(row);
+  }
+
+  const sep = document.createElement('div');
+  sep.className = 'folder-dropdown-sep';
+  shareDropdown.appendChild(sep);
+
+  for (const option of SHARE_EXPIRY_OPTIONS) {
+    const opt = document.createElement('button');
+    opt.className = 'folder-dropdown-item';
+    opt.textContent = option.label;
+    opt.addEventListener('click', async () => {
+      const res = await api('/api/files/' + encodeURIComponent(fileId) + '/shares', {
+        method: 'POST',
+        body: JSON.stringify({ expiresInDays: option.days }),
+      });
+      if (!res.ok) return;
+      const share = await res.json();
+      navigator.clipboard.writeText(location.origin + share.url);
+      log.info('share: link created and copied', { fileId });
+      renderShareDropdown();
+    });
+    shareDropdown.appendChild(opt);
+  }
+}
+
+// ── Shared (read-only) view ─────────────────────────────────────────────────
+
+async function showSharedView(token) {
+  loginScreen.hidden = true;
+  appScreen.hidden = true;
+  sharedScreen.hidden = false;
+  try {
+    const res = await fetch('/api/shared/' + encodeURIComponent(token));
+    if (!res.ok) {
+      sharedError.hidden = false;
+      return;
+    }
+    const data = await res.json();
+    document.title = data.filename + ' \u2014 Markdown Viewer';
+    sharedTitle.textContent = data.filename;
+    renderProperties(sharedProperties, data.frontMatter);
+    sharedOutput.innerHTML = renderContent(data.content, data.format);
+    addCodeCopyButtons(sharedOutput);
+    renderDiagrams(sharedOutput);
+    addHeadingAnchors(sharedOutput);
+    scrollToHash(sharedOutput);
+    if (data.created) {
+      sharedCreated.textContent = 'Created ' + new Date(data.created).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+      sharedCreated.hidden = false;
+    }
+  } catch {
+    sharedError.hidden = false;
+  }
+}
+
 // ── File viewing ────────────────────────────────────────────────────────────
 
-async function viewFile(id, { updateUrl = true } = {}) {
+// `countView: false` for fetches the reader didn't ask for (showing a file
+// just uploaded, or reloading it after a change), so they don't count as views
+async function viewFile(id, { updateUrl = true, countView = true } = {}) {
+  if (!confirmDiscardEdits()) return;
   try {
-    const res = await api(`/api/files/${encodeURIComponent(id)}`);
+    const res = await api(`/api/files/${encodeURIComponent(id)}` + (countView ? '' : '?view=0'));
     if (!res.ok) return;
     const data = await res.json();
     currentRawMarkdown = data.content;
+    currentFormat = data.format || 'markdown';
+    currentLinks = data.links || {};
+    currentSourceUrl = data.sourceUrl || null;
+    exitEditMode();
+    closeRevisionView();
     renderMarkdown(data.content, data.filename, id);
     currentFileId = id;
     currentFileSource = 'upload';
+    updateToc();
+    loadBacklinks(id);
     deleteFileBtn.hidden = false;
     copyMdBtn.hidden = false;
+    setPinButton(data.pinned);
+    pinBtn.hidden = false;
+    refreshBtn.hidden = !currentSourceUrl;
+    renderSourceInfo(data.fetchedAt, data.fetchChanged);
+    renderViewerTags(data.tags || []);
+    renderProperties(viewerProperties, data.frontMatter);
+    // Opening an archived file restores it
+    if (!archiveSection.hidden) loadArchive();
+    openHtmlBtn.href = `/api/files/${encodeURIComponent(id)}/render?format=html`;
+    openHtmlBtn.hidden = false;
     folderBtn.hidden = false;
+    shareBtn.hidden = false;
+    shareDropdown.hidden = true;
+    editBtn.hidden = false;
+    revisionsBtn.hidden = false;
+    revisionsDropdown.hidden = true;
+    const details = [];
     if (data.created) {
       const d = new Date(data.created);
-      viewerCreated.textContent = 'Created ' + d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) + ' at ' + d.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
-      viewerCreated.hidden = false;
-    } else {
-      viewerCreated.hidden = true;
+      details.push('Created ' + d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) + ' at ' + d.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' }));
     }
+    if (data.readingMinutes) details.push(data.readingMinutes + ' min read');
+    if (data.views?.count) details.push(data.views.count === 1 ? '1 view' : data.views.count + ' views');
+    viewerCreated.textContent = details.join(' · ');
+    viewerCreated.hidden = details.length === 0;
     if (updateUrl) pushUrl(`/${id}`);
+    else scrollToHash(renderedOutput);
     closeSidebar();
     loadHistory();
     loadFolders();
@@ -806,8 +2116,7 @@ async function viewFile(id, { updateUrl = true } = {}) {
 }
 
 function renderMarkdown(content, title, id) {
-  renderedOutput.innerHTML = md.render(content);
-  addCodeCopyButtons();
+  renderPreview(content);
   viewerTitle.textContent = title || 'Markdown Viewer';
   currentFilename = title || 'Markdown Viewer';
   viewerTitle.setAttribute('data-editable', id ? 'true' : 'false');
@@ -815,8 +2124,16 @@ function renderMarkdown(content, title, id) {
   viewerArea.hidden = false;
 }
 
-function addCodeCopyButtons() {
-  for (const pre of renderedOutput.querySelectorAll('pre')) {
+function renderPreview(content) {
+  renderedOutput.innerHTML = renderContent(content, currentFormat, currentLinks);
+  addCodeCopyButtons();
+  renderDiagrams(renderedOutput);
+  buildToc(addHeadingAnchors(renderedOutput));
+}
+
+function addCodeCopyButtons(container = renderedOutput) {
+  for (const pre of container.querySelectorAll('pre')) {
+    if (pre.classList.contains('mermaid-source')) continue;
     const wrapper = document.createElement('div');
     wrapper.className = 'pre-wrapper';
     pre.parentNode.insertBefore(wrapper, pre);
@@ -836,6 +2153,9 @@ function addCodeCopyButtons() {
 }
 
 function showInputArea({ updateUrl = true } = {}) {
+  if (!confirmDiscardEdits()) return;
+  exitEditMode();
+  closeRevisionView();
   inputArea.hidden = false;
   viewerArea.hidden = true;
   viewerTitle.textContent = 'Markdown Viewer';
@@ -844,14 +2164,44 @@ function showInputArea({ updateUrl = true } = {}) {
   currentFileSource = null;
   currentRawMarkdown = null;
   currentFilename = null;
+  currentFormat = 'markdown';
+  currentLinks = {};
+  currentSourceUrl = null;
+  backlinksSection.hidden = true;
+  refreshBtn.hidden = true;
+  viewerSource.hidden = true;
   copyMdBtn.hidden = true;
+  pinBtn.hidden = true;
+  openHtmlBtn.hidden = true;
   folderBtn.hidden = true;
   folderDropdown.hidden = true;
+  shareBtn.hidden = true;
+  shareDropdown.hidden = true;
+  editBtn.hidden = true;
+  revisionsBtn.hidden = true;
+  revisionsDropdown.hidden = true;
   viewerCreated.hidden = true;
+  viewerTags.hidden = true;
+  viewerProperties.hidden = true;
+  tocEntries = [];
+  updateToc();
   if (updateUrl) pushUrl('/');
 }
 
-backBtn.addEventListener('click', showInputArea);
+backBtn.addEventListener('click', () => showInputArea());
+
+function setPinButton(pinned) {
+  pinBtn.textContent = pinned ? 'Unpin' : 'Pin';
+  pinBtn.classList.toggle('accent', pinned);
+  pinBtn.dataset.pinned = pinned ? 'true' : 'false';
+}
+
+pinBtn.addEventListener('click', async () => {
+  if (!currentFileId) return;
+  const pinned = pinBtn.dataset.pinned !== 'true';
+  const res = await api('/api/files/' + encodeURIComponent(currentFileId) + '/pin', { method: pinned ? 'POST' : 'DELETE' });
+  if (res.ok) setPinButton(pinned);
+});
 
 copyMdBtn.addEventListener('click', () => {
   if (!currentRawMarkdown) return;
@@ -863,11 +2213,411 @@ copyMdBtn.addEventListener('click', () => {
 
 deleteFileBtn.addEventListener('click', async () => {
   if (!currentFileId) return;
-  if (!confirm('Delete this file?')) return;
-  await api(`/api/files/${encodeURIComponent(currentFileId)}`, { method: 'DELETE' });
+  if (!confirmDiscardEdits()) return;
+  const id = currentFileId;
+  const name = currentFilename;
+  const res = await api(`/api/files/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  if (!res.ok) return;
+  exitEditMode();
   showInputArea();
   loadHistory();
   loadFolders();
+  loadTrash();
+  showUndoToast('Moved "' + name + '" to the trash', async () => {
+    if (await restoreFromTrash({ type: 'file', id })) viewFile(id, { countView: false });
+  });
+});
+
+// ── Wiki links & backlinks ──────────────────────────────────────────────────
+
+// Resolved [[links]] open in place rather than reloading the app
+renderedOutput.addEventListener('click', (e) => {
+  const link = e.target.closest('a.wikilink');
+  if (!link || e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+  e.preventDefault();
+  viewFile(link.dataset.fileId);
+});
+
+async function loadBacklinks(fileId) {
+  backlinksSection.hidden = true;
+  try {
+    const res = await api('/api/files/' + encodeURIComponent(fileId) + '/backlinks');
+    if (!res.ok || fileId !== currentFileId) return;
+    renderBacklinks(await res.json());
+  } catch {}
+}
+
+function renderBacklinks(files) {
+  backlinksList.textContent = '';
+  backlinksSection.hidden = files.length === 0;
+  for (const file of files) {
+    const li = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = '/' + encodeURIComponent(file.id);
+    link.textContent = file.filename;
+    link.addEventListener('click', (e) => {
+      if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+      e.preventDefault();
+      viewFile(file.id);
+    });
+    li.appendChild(link);
+    backlinksList.appendChild(li);
+  }
+}
+
+// ── Table of contents ───────────────────────────────────────────────────────
+// Headings get GitHub-style slug IDs so /<uuid>#slug links work. The outline
+// beside the article follows the scroll position and can be collapsed from the
+// toolbar (remembered per browser).
+
+const TOC_MIN_HEADINGS = 2;
+const TOC_SCROLL_OFFSET = 80;
+
+let tocEntries = [];
+let tocScrollFrame = null;
+
+// Same slugs as src/render.js, so /<uuid>#slug links work in both. The
+// prefix keeps headings like "Sidebar" from clashing with the app's own IDs.
+const HEADING_ID_PREFIX = 'h-';
+
+function slugify(text) {
+  const slug = text.trim().toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s+/g, '-');
+  return HEADING_ID_PREFIX + (slug || 'section');
+}
+
+// Gives every heading a unique ID and a hover link. Returns
+// [{ heading, text, level }] in document order.
+function addHeadingAnchors(container) {
+  const used = new Set();
+  const entries = [];
+  for (const heading of container.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+    const text = heading.textContent.trim();
+    const base = slugify(text);
+    let slug = base;
+    for (let n = 1; used.has(slug); n++) slug = base + '-' + n;
+    used.add(slug);
+    heading.id = slug;
+
+    const anchor = document.createElement('a');
+    anchor.className = 'heading-anchor';
+    anchor.href = '#' + slug;
+    anchor.textContent = '#';
+    anchor.setAttribute('aria-label', 'Link to this section');
+    heading.prepend(anchor);
+
+    entries.push({ heading, text, level: Number(heading.tagName[1]) });
+  }
+  return entries;
+}
+
+function scrollToHash(container) {
+  if (!location.hash) return;
+  let slug;
+  try {
+    slug = decodeURIComponent(location.hash.slice(1));
+  } catch {
+    return;
+  }
+  // Links made before heading IDs were prefixed
+  const target = container.querySelector('#' + CSS.escape(slug)) || container.querySelector('#' + CSS.escape(HEADING_ID_PREFIX + slug));
+  if (target) target.scrollIntoView({ block: 'start' });
+}
+
+function isTocOpen() {
+  const saved = localStorage.getItem('tocOpen');
+  return saved === null ? !window.matchMedia('(max-width: 1024px)').matches : saved === 'true';
+}
+
+function buildToc(entries) {
+  tocEntries = entries;
+  tocList.textContent = '';
+  const minLevel = Math.min(...entries.map((e) => e.level));
+
+  for (const entry of entries) {
+    const li = document.createElement('li');
+    li.dataset.depth = entry.level - minLevel;
+    const link = document.createElement('a');
+    link.href = '#' + entry.heading.id;
+    link.textContent = entry.text;
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      entry.heading.scrollIntoView({ block: 'start' });
+      // replaceState doesn't fire popstate, so this doesn't re-enter routing
+      history.replaceState(null, '', '#' + entry.heading.id);
+      if (window.matchMedia('(max-width: 1024px)').matches) {
+        localStorage.setItem('tocOpen', 'false');
+        updateToc();
+      }
+    });
+    li.appendChild(link);
+    tocList.appendChild(li);
+  }
+  updateToc();
+}
+
+// The outline is only shown for a saved file being read (not edited or
+// diffed) that has enough headings to be worth it
+function updateToc() {
+  const available = currentFileId !== null && !isEditing && !viewingRevision && tocEntries.length >= TOC_MIN_HEADINGS;
+  tocBtn.hidden = !available;
+  toc.hidden = !available || !isTocOpen();
+  tocBtn.classList.toggle('accent', !toc.hidden);
+  highlightTocEntry();
+}
+
+function highlightTocEntry() {
+  tocScrollFrame = null;
+  if (toc.hidden) return;
+
+  const top = viewerScroll.getBoundingClientRect().top + TOC_SCROLL_OFFSET;
+  const atBottom = viewerScroll.scrollTop + viewerScroll.clientHeight >= viewerScroll.scrollHeight - 2;
+  let current = 0;
+  tocEntries.forEach((entry, i) => {
+    if (entry.heading.getBoundingClientRect().top <= top) current = i;
+  });
+  if (atBottom) current = tocEntries.length - 1;
+
+  const links = tocList.querySelectorAll('a');
+  links.forEach((link, i) => link.classList.toggle('active', i === current));
+  const active = links[current];
+  if (active && (active.offsetTop < toc.scrollTop || active.offsetTop + active.offsetHeight > toc.scrollTop + toc.clientHeight)) {
+    toc.scrollTop = active.offsetTop - toc.clientHeight / 2;
+  }
+}
+
+viewerScroll.addEventListener('scroll', () => {
+  if (!tocScrollFrame) tocScrollFrame = requestAnimationFrame(highlightTocEntry);
+});
+
+tocBtn.addEventListener('click', () => {
+  localStorage.setItem('tocOpen', toc.hidden ? 'true' : 'false');
+  updateToc();
+});
+
+// ── Editing ─────────────────────────────────────────────────────────────────
+
+const PREVIEW_DEBOUNCE_MS = 200;
+
+let previewTimer = null;
+
+function hasUnsavedEdits() {
+  return isEditing && editorInput.value !== currentRawMarkdown;
+}
+
+function confirmDiscardEdits() {
+  return !hasUnsavedEdits() || confirm('Discard unsaved changes?');
+}
+
+function enterEditMode() {
+  if (!currentFileId || currentRawMarkdown === null) return;
+  closeRevisionView();
+  isEditing = true;
+  editorInput.value = currentRawMarkdown;
+  editorInput.hidden = false;
+  editBtn.hidden = true;
+  editCancelBtn.hidden = false;
+  editSaveBtn.hidden = false;
+  revisionsBtn.hidden = true;
+  refreshBtn.hidden = true;
+  updateToc();
+  editorInput.focus();
+}
+
+function exitEditMode() {
+  if (!isEditing) return;
+  isEditing = false;
+  clearTimeout(previewTimer);
+  editorInput.hidden = true;
+  editorInput.value = '';
+  editCancelBtn.hidden = true;
+  editSaveBtn.hidden = true;
+  editBtn.hidden = !currentFileId;
+  revisionsBtn.hidden = !currentFileId;
+  refreshBtn.hidden = !currentSourceUrl;
+  updateToc();
+}
+
+async function saveEdits() {
+  if (!isEditing || !currentFileId) return;
+  const content = editorInput.value;
+  if (content === currentRawMarkdown) {
+    exitEditMode();
+    return;
+  }
+  editSaveBtn.disabled = true;
+  try {
+    const res = await api(`/api/files/${encodeURIComponent(currentFileId)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ content }),
+    });
+    if (!res.ok) return;
+    const data = await res.json();
+    currentRawMarkdown = content;
+    currentLinks = data.links || {};
+    exitEditMode();
+    renderPreview(content);
+    renderProperties(viewerProperties, data.frontMatter);
+    log.info('edit: saved', { fileId: currentFileId, size: content.length });
+  } catch {} finally {
+    editSaveBtn.disabled = false;
+  }
+}
+
+editBtn.addEventListener('click', enterEditMode);
+
+editCancelBtn.addEventListener('click', () => {
+  if (!confirmDiscardEdits()) return;
+  exitEditMode();
+  renderPreview(currentRawMarkdown);
+});
+
+editSaveBtn.addEventListener('click', saveEdits);
+
+editorInput.addEventListener('input', () => {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(() => renderPreview(editorInput.value), PREVIEW_DEBOUNCE_MS);
+});
+
+editorInput.addEventListener('keydown', (e) => {
+  if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+    e.preventDefault();
+    saveEdits();
+  } else if (e.key === 'Escape') {
+    editCancelBtn.click();
+  }
+});
+
+window.addEventListener('beforeunload', (e) => {
+  if (hasUnsavedEdits()) e.preventDefault();
+});
+
+// ── Revisions ───────────────────────────────────────────────────────────────
+
+const DIFF_CONTEXT_LINES = 3;
+
+function formatRevisionDate(iso) {
+  const d = new Date(iso);
+  return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) + ' ' + d.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}
+
+revisionsBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  folderDropdown.hidden = true;
+  shareDropdown.hidden = true;
+  if (!revisionsDropdown.hidden) {
+    revisionsDropdown.hidden = true;
+    return;
+  }
+  renderRevisionsDropdown();
+  revisionsDropdown.hidden = false;
+});
+
+async function renderRevisionsDropdown() {
+  revisionsDropdown.textContent = '';
+  const fileId = currentFileId;
+  if (!fileId) return;
+
+  let revisions = [];
+  try {
+    const res = await api('/api/files/' + encodeURIComponent(fileId) + '/revisions');
+    if (res.ok) revisions = await res.json();
+  } catch {}
+  if (fileId !== currentFileId) return;
+
+  if (revisions.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'share-dropdown-empty';
+    empty.textContent = 'No earlier versions';
+    revisionsDropdown.appendChild(empty);
+    return;
+  }
+
+  for (const rev of revisions) {
+    const opt = document.createElement('button');
+    opt.className = 'folder-dropdown-item';
+    if (viewingRevision && viewingRevision.id === rev.id) opt.classList.add('active');
+    opt.textContent = formatRevisionDate(rev.created);
+    opt.addEventListener('click', () => {
+      revisionsDropdown.hidden = true;
+      showRevisionDiff(rev);
+    });
+    revisionsDropdown.appendChild(opt);
+  }
+}
+
+function createDiffLine(type, text) {
+  const line = document.createElement('div');
+  line.className = 'diff-line diff-' + type;
+  const prefix = type === 'add' ? '+ ' : type === 'del' ? '- ' : '  ';
+  line.textContent = type === 'skip' ? text : prefix + text;
+  return line;
+}
+
+function renderDiff(ops) {
+  diffOutput.textContent = '';
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type !== 'same') {
+      diffOutput.appendChild(createDiffLine(ops[i].type, ops[i].text));
+      i++;
+      continue;
+    }
+    let end = i;
+    while (end < ops.length && ops[end].type === 'same') end++;
+    const lead = i === 0 ? 0 : DIFF_CONTEXT_LINES;
+    const trail = end === ops.length ? 0 : DIFF_CONTEXT_LINES;
+    if (end - i > lead + trail + 1) {
+      for (let j = i; j < i + lead; j++) diffOutput.appendChild(createDiffLine('same', ops[j].text));
+      diffOutput.appendChild(createDiffLine('skip', '\u22EF ' + (end - i - lead - trail) + ' unchanged lines'));
+      for (let j = end - trail; j < end; j++) diffOutput.appendChild(createDiffLine('same', ops[j].text));
+    } else {
+      for (let j = i; j < end; j++) diffOutput.appendChild(createDiffLine('same', ops[j].text));
+    }
+    i = end;
+  }
+}
+
+async function showRevisionDiff(rev) {
+  const fileId = currentFileId;
+  try {
+    const res = await api('/api/files/' + encodeURIComponent(fileId) + '/revisions/' + encodeURIComponent(rev.id) + '/diff');
+    if (!res.ok || fileId !== currentFileId) return;
+    const data = await res.json();
+    viewingRevision = rev;
+    renderDiff(data.diff);
+    revisionBannerText.textContent = 'Changes since version from ' + formatRevisionDate(rev.created);
+    revisionBanner.hidden = false;
+    diffOutput.hidden = false;
+    renderedOutput.hidden = true;
+    updateToc();
+  } catch {}
+}
+
+function closeRevisionView() {
+  viewingRevision = null;
+  revisionBanner.hidden = true;
+  diffOutput.hidden = true;
+  diffOutput.textContent = '';
+  renderedOutput.hidden = false;
+  updateToc();
+}
+
+revisionCloseBtn.addEventListener('click', closeRevisionView);
+
+revisionRestoreBtn.addEventListener('click', async () => {
+  if (!viewingRevision || !currentFileId) return;
+  if (!confirm('Restore this version? The current version will be kept as a revision.')) return;
+  try {
+    const res = await api('/api/files/' + encodeURIComponent(currentFileId) + '/revisions/' + encodeURIComponent(viewingRevision.id) + '/restore', { method: 'POST' });
+    if (!res.ok) return;
+    const data = await res.json();
+    currentRawMarkdown = data.content;
+    currentLinks = data.links || {};
+    closeRevisionView();
+    renderPreview(data.content);
+    renderProperties(viewerProperties, data.frontMatter);
+    log.info('revision: restored', { fileId: currentFileId });
+  } catch {}
 });
 
 // ── Inline title rename ──────────────────────────────────────────────────
@@ -917,6 +2667,8 @@ viewerTitle.addEventListener('click', () => {
       if (res.ok) {
         currentFilename = newName;
         viewerTitle.textContent = newName;
+        // Links by name follow the new name
+        loadBacklinks(currentFileId);
         loadHistory();
         loadFolders();
       }
@@ -958,28 +2710,115 @@ dropZone.addEventListener('dragleave', () => {
 dropZone.addEventListener('drop', (e) => {
   e.preventDefault();
   dropZone.classList.remove('drag-over');
-  const file = e.dataTransfer.files[0];
-  if (file) uploadFile(file);
+  uploadFiles([...e.dataTransfer.files]);
 });
 
 fileInput.addEventListener('change', () => {
-  if (fileInput.files[0]) {
-    uploadFile(fileInput.files[0]);
-    fileInput.value = '';
-  }
+  uploadFiles([...fileInput.files]);
+  fileInput.value = '';
 });
 
+// A single plain file opens straight away; several files or any zip go
+// through the batch endpoint and show a per-file report instead.
+function uploadFiles(files) {
+  if (files.length === 0) return;
+  if (files.length === 1 && !/\.zip$/i.test(files[0].name)) {
+    uploadFile(files[0]);
+  } else {
+    uploadBatch(files);
+  }
+}
+
+async function loadUploadTypes() {
+  try {
+    const res = await api('/api/upload/types');
+    if (!res.ok) return;
+    const types = await res.json();
+    // Extensionless names (README) can't be expressed in `accept`
+    if (types.allowNoExtension) {
+      fileInput.removeAttribute('accept');
+    } else {
+      fileInput.accept = [...types.extensions, '.zip'].join(',');
+    }
+  } catch {}
+}
+
 async function uploadFile(file) {
   const formData = new FormData();
   formData.append('file', file);
   try {
-    const res = await fetch('/api/upload', { method: 'POST', body: formData });
-    if (!res.ok) return;
+    const res = await fetch('/api/upload', { method: 'POST', body: formData, headers: { 'X-Client-Id': CLIENT_ID } });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      alert(data.error || 'Upload failed');
+      return;
+    }
     const data = await res.json();
-    viewFile(data.id);
+    viewFile(data.id, { countView: false });
   } catch {}
 }
 
+async function uploadBatch(files) {
+  const formData = new FormData();
+  for (const file of files) formData.append('files', file);
+  importReport.hidden = false;
+  importReport.textContent = `Importing ${files.length} file${files.length === 1 ? '' : 's'}…`;
+  try {
+    const res = await fetch('/api/upload/batch', { method: 'POST', body: formData, headers: { 'X-Client-Id': CLIENT_ID } });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      importReport.textContent = data.error || 'Import failed';
+      return;
+    }
+    renderImportReport(data);
+    loadHistory();
+    loadFolders();
+  } catch {
+    importReport.textContent = 'Import failed';
+  }
+}
+
+function renderImportReport({ results, folders }) {
+  importReport.textContent = '';
+
+  const imported = results.filter((r) => r.ok).length;
+  const summary = document.createElement('div');
+  summary.className = 'import-report-summary';
+  summary.textContent = `Imported ${imported} of ${results.length} file${results.length === 1 ? '' : 's'}`;
+  if (folders.length > 0) {
+    summary.textContent += ` into ${folders.map((f) => f.name).join(', ')}`;
+  }
+  importReport.appendChild(summary);
+
+  const list = document.createElement('ul');
+  list.className = 'import-report-list';
+  for (const r of results) {
+    const item = document.createElement('li');
+    item.className = 'import-report-item ' + (r.ok ? 'ok' : r.skipped ? 'skipped' : 'failed');
+
+    const name = document.createElement(r.ok ? 'a' : 'span');
+    name.className = 'import-report-name';
+    name.textContent = r.path || r.name;
+    if (r.ok) {
+      name.href = `/${r.id}`;
+      name.addEventListener('click', (e) => {
+        e.preventDefault();
+        viewFile(r.id);
+      });
+    }
+    item.appendChild(name);
+
+    if (!r.ok) {
+      const reason = document.createElement('span');
+      reason.className = 'import-report-reason';
+      reason.textContent = r.error;
+      item.appendChild(reason);
+    }
+    list.appendChild(item);
+  }
+  importReport.appendChild(list);
+}
+
 // ── Paste render ────────────────────────────────────────────────────────────
 
 renderBtn.addEventListener('click', async () => {
@@ -994,7 +2833,7 @@ renderBtn.addEventListener('click', async () => {
     if (!res.ok) return;
     const data = await res.json();
     pasteInput.value = '';
-    viewFile(data.id);
+    viewFile(data.id, { countView: false });
   } catch {}
 });
 
@@ -1006,7 +2845,84 @@ pasteInput.addEventListener('keydown', (e) => {
   }
 });
 
+// ── URL import ──────────────────────────────────────────────────────────────
+
+urlImportForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const url = urlImportInput.value.trim();
+  if (!url) return;
+  urlImportError.hidden = true;
+  urlImportBtn.disabled = true;
+  try {
+    const res = await api('/api/import', { method: 'POST', body: JSON.stringify({ url }) });
+    const data = await res.json();
+    if (!res.ok) {
+      urlImportError.textContent = data.error || 'Import failed';
+      urlImportError.hidden = false;
+      return;
+    }
+    urlImportInput.value = '';
+    viewFile(data.id, { countView: false });
+  } catch {} finally {
+    urlImportBtn.disabled = false;
+  }
+});
+
+// "Imported from example.com/docs/guide.md · checked Oct 3 (changed)"
+function renderSourceInfo(fetchedAt, fetchChanged) {
+  viewerSource.textContent = '';
+  viewerSource.hidden = !currentSourceUrl;
+  if (!currentSourceUrl) return;
+
+  const link = document.createElement('a');
+  link.href = currentSourceUrl;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  const url = new URL(currentSourceUrl);
+  link.textContent = url.host + url.pathname;
+  viewerSource.append('Imported from ', link);
+  if (fetchedAt) {
+    const checked = new Date(fetchedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    const outcome = fetchChanged === true ? ' (changed)' : fetchChanged === false ? ' (no changes)' : '';
+    viewerSource.append(' \u00B7 checked ' + checked + outcome);
+  }
+}
+
+refreshBtn.addEventListener('click', async () => {
+  if (!currentFileId || !currentSourceUrl || isEditing) return;
+  const fileId = currentFileId;
+  refreshBtn.disabled = true;
+  try {
+    const res = await api('/api/files/' + encodeURIComponent(fileId) + '/refresh', { method: 'POST' });
+    const data = await res.json();
+    if (fileId !== currentFileId) return;
+    if (!res.ok) {
+      showToast(data.error || 'Refresh failed');
+      return;
+    }
+    renderSourceInfo(data.fetchedAt, data.changed);
+    if (!data.changed) {
+      showToast('Already up to date');
+      return;
+    }
+    closeRevisionView();
+    currentRawMarkdown = data.content;
+    currentLinks = data.links || {};
+    renderPreview(data.content);
+    renderProperties(viewerProperties, data.frontMatter);
+    showToast('Updated from source');
+    log.info('refresh: updated', { fileId, revisionId: data.revision?.id });
+  } catch {} finally {
+    refreshBtn.disabled = false;
+  }
+});
+
 // ── Init ────────────────────────────────────────────────────────────────────
 
 initTheme();
-checkAuth();
+const initialShareToken = getShareTokenFromPath();
+if (initialShareToken) {
+  showSharedView(initialShareToken);
+} else {
+  checkAuth();
+}
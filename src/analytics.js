@@ -0,0 +1,60 @@
+// Reading and view statistics kept on file metadata. Word counts skip front
+// matter and fenced code blocks, which readers skim rather than read.
+
+import { parseFrontMatter } from './frontmatter.js';
+
+const WORDS_PER_MINUTE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of per-day view counts kept on each file
+export const VIEW_HISTORY_DAYS = 30;
+
+const FENCE_RE = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1[ \t]*$/gm;
+const WORD_RE = /[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu;
+
+// { words, readingMinutes } for a file body; anything with words reads in at
+// least a minute
+export function readingStats(content, format) {
+  const body = format === 'text' ? content : parseFrontMatter(content).body.replace(FENCE_RE, '');
+  const words = (body.match(WORD_RE) || []).length;
+  return { words, readingMinutes: words === 0 ? 0 : Math.max(1, Math.round(words / WORDS_PER_MINUTE)) };
+}
+
+function dayOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Adds a view at `at` (ISO string) to a file's `views`:
+// { count, firstViewedAt, lastViewedAt, daily: { 'YYYY-MM-DD': n } }
+// Days older than VIEW_HISTORY_DAYS drop out of `daily`; count keeps them.
+export function recordView(views, at) {
+  const daily = { ...(views?.daily || {}) };
+  const today = at.slice(0, 10);
+  daily[today] = (daily[today] || 0) + 1;
+  const cutoff = dayOf(Date.parse(at) - (VIEW_HISTORY_DAYS - 1) * DAY_MS);
+  for (const day of Object.keys(daily)) {
+    if (day < cutoff) delete daily[day];
+  }
+  return {
+    count: (views?.count || 0) + 1,
+    firstViewedAt: views?.firstViewedAt || at,
+    lastViewedAt: at,
+    daily,
+  };
+}
+
+// [{ date, views }] for each of the last `days` days up to `now`, oldest
+// first, with days without views filled in as 0
+export function viewSeries(views, now = Date.now(), days = VIEW_HISTORY_DAYS) {
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = dayOf(now - i * DAY_MS);
+    series.push({ date, views: views?.daily?.[date] || 0 });
+  }
+  return series;
+}
+
+// Views within the last `days` days up to `now`
+export function recentViews(views, now = Date.now(), days = VIEW_HISTORY_DAYS) {
+  return viewSeries(views, now, days).reduce((sum, day) => sum + day.views, 0);
+}
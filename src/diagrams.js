@@ -0,0 +1,115 @@
+// markdown-it rules for TeX math and Mermaid diagrams. The browser has a copy
+// of these rules in public/js/app.js; keep the two in step.
+
+const DOLLAR = 0x24;
+
+function isEscaped(src, pos) {
+  let backslashes = 0;
+  for (let i = pos - 1; i >= 0 && src[i] === '\\'; i--) backslashes++;
+  return backslashes % 2 === 1;
+}
+
+function mathInline(state, silent) {
+  const src = state.src;
+  const start = state.pos;
+  if (src.charCodeAt(start) !== DOLLAR) return false;
+
+  const delim = src.startsWith('$$', start) ? '$$' : '$';
+  const contentStart = start + delim.length;
+  // "$5 and $10" is prose: single-dollar math can't open or close on whitespace
+  if (delim === '$' && /\s/.test(src[contentStart] || ' ')) return false;
+
+  let end = src.indexOf(delim, contentStart);
+  while (end !== -1 && isEscaped(src, end)) end = src.indexOf(delim, end + 1);
+  if (end === -1 || end === contentStart) return false;
+  if (delim === '$' && (/\s/.test(src[end - 1]) || /\d/.test(src[end + 1] || ''))) return false;
+
+  if (!silent) {
+    const token = state.push('math_inline', 'math', 0);
+    token.markup = delim;
+    token.content = src.slice(contentStart, end);
+  }
+  state.pos = end + delim.length;
+  return true;
+}
+
+function mathBlock(state, startLine, endLine, silent) {
+  let pos = state.bMarks[startLine] + state.tShift[startLine];
+  let max = state.eMarks[startLine];
+  if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+  if (!state.src.startsWith('$$', pos)) return false;
+
+  const first = state.src.slice(pos + 2, max).trim();
+  let line = startLine;
+  let content;
+  if (first.length >= 2 && first.endsWith('$$')) {
+    content = first.slice(0, -2);
+  } else {
+    const lines = [first];
+    let closed = false;
+    while (++line < endLine) {
+      pos = state.bMarks[line] + state.tShift[line];
+      max = state.eMarks[line];
+      const text = state.src.slice(pos, max).trimEnd();
+      if (text.endsWith('$$')) {
+        lines.push(text.slice(0, -2));
+        closed = true;
+        break;
+      }
+      lines.push(text);
+    }
+    // An unclosed $$ is left to the paragraph rule
+    if (!closed) return false;
+    content = lines.join('\n');
+  }
+  if (!content.trim()) return false;
+  if (silent) return true;
+
+  state.line = line + 1;
+  const token = state.push('math_block', 'math', 0);
+  token.block = true;
+  token.markup = '$$';
+  token.content = content.trim();
+  token.map = [startLine, state.line];
+  return true;
+}
+
+// `$...$` inline, `$$...$$` display (inline or as its own block).
+// `render(tex, displayMode)` turns TeX into HTML; if it throws, the source is
+// shown as code instead.
+export function mathPlugin(md, { render }) {
+  const escape = md.utils.escapeHtml;
+
+  md.inline.ruler.after('escape', 'math_inline', mathInline);
+  md.block.ruler.before('fence', 'math_block', mathBlock, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+
+  md.renderer.rules.math_inline = (tokens, idx) => {
+    const { content, markup } = tokens[idx];
+    try {
+      return render(content, markup === '$$');
+    } catch (err) {
+      return `<code class="math-error" title="${escape(err.message || 'Invalid math')}">${escape(markup + content + markup)}</code>`;
+    }
+  };
+
+  md.renderer.rules.math_block = (tokens, idx) => {
+    const { content } = tokens[idx];
+    try {
+      return `<div class="math-block">${render(content, true)}</div>\n`;
+    } catch (err) {
+      return `<pre class="math-error" title="${escape(err.message || 'Invalid math')}"><code>${escape('$$\n' + content + '\n$$')}</code></pre>\n`;
+    }
+  };
+}
+
+// ```mermaid fences become a block holding the diagram source. The browser
+// replaces the source with the drawn diagram, and leaves it showing if the
+// diagram doesn't parse.
+export function mermaidPlugin(md) {
+  const fence = md.renderer.rules.fence;
+  md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    if (token.info.trim().split(/\s+/)[0] !== 'mermaid') return fence(tokens, idx, options, env, self);
+    return `<div class="mermaid-block"><pre class="mermaid-source"><code>${md.utils.escapeHtml(token.content)}</code></pre></div>\n`;
+  };
+}
@@ -0,0 +1,64 @@
+// Line-based diff (LCS). Large inputs fall back to a whole-block replace so
+// the DP table stays bounded inside the Worker's memory limit.
+
+const MAX_CELLS = 4_000_000;
+
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'same', text: a[i] });
+  ops.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+  for (let i = endA; i < a.length; i++) ops.push({ type: 'same', text: a[i] });
+  return ops;
+}
+
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if ((n + 1) * (m + 1) > MAX_CELLS) {
+    return [
+      ...a.map((text) => ({ type: 'del', text })),
+      ...b.map((text) => ({ type: 'add', text })),
+    ];
+  }
+
+  // lcs[i][j] = length of LCS of a[i..] and b[j..], stored row-major
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: 'del', text: a[i++] });
+    } else {
+      ops.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'del', text: a[i++] });
+  while (j < m) ops.push({ type: 'add', text: b[j++] });
+  return ops;
+}
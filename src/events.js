@@ -0,0 +1,67 @@
+// Live library updates. Each user has one LibraryEvents Durable Object (named
+// by user ID) holding a WebSocket per open tab. Routes that change the library
+// call broadcast() on it, and every other tab refreshes its sidebar instead of
+// waiting for the next poll. Sockets use the hibernation API, so an idle
+// object costs nothing while tabs stay connected.
+//
+// The same object also hands out short write leases for the user's shared KV
+// documents (see updateDocument() in worker.js), since KV itself can't do a
+// compare-and-swap.
+
+import { DurableObject } from 'cloudflare:workers';
+
+export class LibraryEvents extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    // Keepalive pings are answered without waking the object
+    this.ctx.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+  }
+
+  // Called with the tab's upgrade request; ?client= identifies the tab so it
+  // isn't told about its own changes
+  async fetch(request) {
+    const { 0: client, 1: server } = new WebSocketPair();
+    this.ctx.acceptWebSocket(server);
+    server.serializeAttachment({ clientId: new URL(request.url).searchParams.get('client') });
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  // event: { type, clientId?, ...detail }
+  broadcast(event) {
+    const message = JSON.stringify(event);
+    let sent = 0;
+    for (const ws of this.ctx.getWebSockets()) {
+      if (event.clientId && ws.deserializeAttachment()?.clientId === event.clientId) continue;
+      try {
+        ws.send(message);
+        sent++;
+      } catch { /* socket is closing */ }
+    }
+    return sent;
+  }
+
+  // Returns a token for the lease on `name`, or null while someone else holds
+  // it. Leases are stored rather than kept in memory so they survive the
+  // object being evicted, and expire after ttlMs in case a request dies.
+  async acquire(name, ttlMs) {
+    const key = `lock:${name}`;
+    const now = Date.now();
+    const held = await this.ctx.storage.get(key);
+    if (held && held.expires > now) return null;
+    const token = crypto.randomUUID();
+    await this.ctx.storage.put(key, { token, expires: now + ttlMs });
+    return token;
+  }
+
+  async release(name, token) {
+    const key = `lock:${name}`;
+    const held = await this.ctx.storage.get(key);
+    if (held?.token === token) await this.ctx.storage.delete(key);
+  }
+
+  webSocketClose(ws) {
+    try {
+      ws.close(1000, 'Closing');
+    } catch { /* already closed */ }
+  }
+}
@@ -0,0 +1,55 @@
+// Upload type checks and format detection. `format` is recorded in file
+// metadata so the client knows how to render the body.
+
+export const DEFAULT_UPLOAD_EXTENSIONS = 'md,markdown,mdx,txt,none';
+
+const MARKDOWN_EXTENSIONS = new Set(['md', 'markdown', 'mdown', 'mkd', 'mkdn']);
+const SNIFF_BYTES = 8000;
+
+// "md, .Markdown,none" → { extensions: Set{'md','markdown'}, allowNoExtension: true }
+export function parseUploadExtensions(value) {
+  const entries = (value || DEFAULT_UPLOAD_EXTENSIONS)
+    .split(',')
+    .map((e) => e.trim().toLowerCase().replace(/^\./, ''))
+    .filter(Boolean);
+  return {
+    extensions: new Set(entries.filter((e) => e !== 'none')),
+    allowNoExtension: entries.includes('none'),
+  };
+}
+
+export function extensionOf(filename) {
+  const base = filename.split('/').pop();
+  const dot = base.lastIndexOf('.');
+  return dot > 0 ? base.slice(dot + 1).toLowerCase() : '';
+}
+
+export function isAllowedUpload(filename, allowed) {
+  const ext = extensionOf(filename);
+  return ext ? allowed.extensions.has(ext) : allowed.allowNoExtension;
+}
+
+// Decodes bytes as UTF-8 text, or returns null for binary content (NUL bytes
+// near the start, or invalid UTF-8 anywhere).
+export function decodeText(bytes) {
+  const head = bytes.subarray(0, SNIFF_BYTES);
+  if (head.includes(0)) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+function looksLikeMarkdown(content) {
+  return /^(#{1,6}\s|\s*[-*+]\s|\s*\d+\.\s|```|>\s)|\[[^\]]+\]\([^)]+\)/m.test(content);
+}
+
+export function detectFormat(filename, content) {
+  const ext = extensionOf(filename);
+  if (MARKDOWN_EXTENSIONS.has(ext)) return 'markdown';
+  if (ext === 'mdx') return 'mdx';
+  if (ext) return 'text';
+  // README, CHANGELOG and friends are usually markdown without saying so
+  return looksLikeMarkdown(content) ? 'markdown' : 'text';
+}
@@ -0,0 +1,76 @@
+// YAML front matter: a block fenced by `---` lines at the very top of a file.
+// Only the flat subset notes use is understood: `key: value` scalars, quoted
+// strings, inline `[a, b]` lists and `- item` block lists. Nested maps and
+// other YAML features are skipped rather than rejected.
+
+const FRONT_MATTER_RE = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+const KEY_RE = /^([A-Za-z_][\w-]*)[ \t]*:(?:[ \t]+(.*))?$/;
+const LIST_ITEM_RE = /^[ \t]+-[ \t]+(.*)$|^-[ \t]+(.*)$/;
+
+function unquote(value) {
+  if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(["\\])/g, '$1').replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+  }
+  return value;
+}
+
+function parseScalar(raw) {
+  let value = raw.trim();
+  if (!value.startsWith('"') && !value.startsWith("'")) {
+    // A comment needs whitespace before the #, so "C#" survives
+    value = value.replace(/\s+#.*$/, '');
+  }
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map((item) => parseScalar(item)).filter((item) => item !== null) : [];
+  }
+  return unquote(value);
+}
+
+// Returns { data, body, raw } where data is null when the file has no front
+// matter, body is the content after the block and raw is the block itself
+export function parseFrontMatter(content) {
+  const match = FRONT_MATTER_RE.exec(content || '');
+  if (!match) return { data: null, body: content, raw: null };
+
+  const data = {};
+  let listKey = null;
+  for (const line of (match[1] || '').split(/\r?\n/)) {
+    if (!line.trim() || line.trimStart().startsWith('#')) continue;
+
+    const item = listKey && LIST_ITEM_RE.exec(line);
+    if (item) {
+      const value = parseScalar(item[1] ?? item[2]);
+      if (value !== null) data[listKey].push(value);
+      continue;
+    }
+
+    const key = KEY_RE.exec(line);
+    if (!key) {
+      // Continuation of a nested map or multi-line string; not supported
+      listKey = null;
+      continue;
+    }
+    if (key[2] === undefined || key[2].trim() === '' || /^[|>][+-]?$/.test(key[2].trim())) {
+      // Either a block list follows or something we skip; an empty list is
+      // dropped below if no items turn up
+      data[key[1]] = [];
+      listKey = key[1];
+    } else {
+      data[key[1]] = parseScalar(key[2]);
+      listKey = null;
+    }
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    if (Array.isArray(value) && value.length === 0) delete data[key];
+  }
+  return { data, body: content.slice(match[0].length), raw: match[0] };
+}
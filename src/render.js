@@ -0,0 +1,161 @@
+// Server-side rendering to a standalone HTML document. Uses the same
+// markdown-it options and highlight.js languages as the browser (see
+// public/js/app.js), so output matches what the viewer shows.
+
+import MarkdownIt from 'markdown-it';
+import hljs from 'highlight.js/lib/common';
+import katex from 'katex';
+import { parseFrontMatter } from './frontmatter.js';
+import { mathPlugin, mermaidPlugin } from './diagrams.js';
+import { wikiLinkPlugin } from './wikilinks.js';
+// Imported as text (see the `rules` entry in wrangler.jsonc)
+import appCss from '../public/css/style.css';
+import hljsCss from 'highlight.js/styles/github.min.css';
+import katexCss from 'katex/dist/katex.min.css';
+
+const md = new MarkdownIt({
+  html: true,
+  linkify: true,
+  typographer: true,
+  highlight(str, lang) {
+    if (lang && hljs.getLanguage(lang)) {
+      try {
+        return hljs.highlight(str, { language: lang }).value;
+      } catch {}
+    }
+    return '';
+  },
+});
+
+md.use(mathPlugin, { render: (tex, displayMode) => katex.renderToString(tex, { displayMode, throwOnError: true }) });
+md.use(mermaidPlugin);
+md.use(wikiLinkPlugin);
+
+// Heading IDs use the same slugs as the viewer, so /<uuid>#slug links carry
+// over to the standalone page. The prefix keeps them clear of the app's own
+// element IDs there.
+const HEADING_ID_PREFIX = 'h-';
+
+function slugify(text) {
+  const slug = text.trim().toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s+/g, '-');
+  return HEADING_ID_PREFIX + (slug || 'section');
+}
+
+md.renderer.rules.heading_open = (tokens, idx, options, env, self) => {
+  const text = tokens[idx + 1].children
+    .filter((t) => t.type === 'text' || t.type === 'code_inline')
+    .map((t) => t.content)
+    .join('');
+  const base = slugify(text);
+  let slug = base;
+  for (let n = 1; env.slugs.has(slug); n++) slug = base + '-' + n;
+  env.slugs.add(slug);
+  tokens[idx].attrSet('id', slug);
+  return self.renderToken(tokens, idx, options);
+};
+
+const MDX_ESM_RE = /^(import|export)\s.*$/gm;
+const MDX_JSX_LINE_RE = /^\s*<\/?[A-Z][\w.]*(\s[^>]*)?\/?>\s*$/gm;
+const MDX_COMMENT_RE = /\{\/\*[\s\S]*?\*\/\}/g;
+
+function stripMdx(content) {
+  return content
+    .replace(MDX_COMMENT_RE, '')
+    .replace(MDX_ESM_RE, '')
+    .replace(MDX_JSX_LINE_RE, '');
+}
+
+function markdownBody(content, format) {
+  // Front matter is metadata, not a rule followed by a paragraph
+  const body = parseFrontMatter(content).body;
+  return format === 'mdx' ? stripMdx(body) : body;
+}
+
+// `wikiLinks` resolves [[links]] (see wikilinks.js); omit it to render them as
+// plain text
+export function renderContent(content, format, { wikiLinks } = {}) {
+  if (format === 'text') {
+    return '<pre class="plain-text"><code>' + md.utils.escapeHtml(content) + '</code></pre>';
+  }
+  return md.render(markdownBody(content, format), { slugs: new Set(), wikiLinks });
+}
+
+// Normalized targets of the [[links]] in a file, without duplicates. Parsing
+// rather than pattern matching skips examples inside code.
+export function extractWikiLinks(content, format) {
+  if (format === 'text') return [];
+  const targets = new Set();
+  for (const token of md.parse(markdownBody(content, format), {})) {
+    for (const child of token.children || []) {
+      if (child.type === 'wikilink') targets.add(child.meta.target);
+    }
+  }
+  return [...targets];
+}
+
+// The app stylesheet assumes the viewer layout around the article; these
+// rules stand in for it when the article is the whole page.
+const STANDALONE_CSS = `
+body { overflow: auto; }
+.standalone { max-width: 880px; margin: 0 auto; padding: 32px 24px 64px; }
+`;
+
+// KaTeX's stylesheet loads its fonts relative to itself; point them at the
+// CDN copy of the same version
+const KATEX_CSS = katexCss.replaceAll('url(fonts/', `url(https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/fonts/`);
+
+// Diagrams are laid out in the browser. The render CSP allows this one script
+// plus the nonced loader below, and nothing from the document itself.
+export const MERMAID_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/mermaid@12.1.0/dist/mermaid.min.js';
+
+function mermaidLoader(nonce) {
+  return `<script src="${MERMAID_SCRIPT_URL}"></script>
+<script nonce="${nonce}">
+mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', suppressErrorRendering: true });
+(async () => {
+  let n = 0;
+  for (const block of document.querySelectorAll('.mermaid-block')) {
+    const source = block.querySelector('.mermaid-source');
+    try {
+      const { svg } = await mermaid.render('mermaid-' + ++n, source.textContent);
+      const output = document.createElement('div');
+      output.className = 'mermaid-svg';
+      output.innerHTML = svg;
+      block.appendChild(output);
+      source.hidden = true;
+    } catch {
+      block.classList.add('mermaid-error');
+    }
+  }
+})();
+</script>`;
+}
+
+// `nonce` enables the diagram loader; without one, diagrams stay as source
+export function renderDocument(title, body, { nonce } = {}) {
+  const hasMath = body.includes('class="katex');
+  const hasDiagrams = nonce && body.includes('class="mermaid-block"');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${md.utils.escapeHtml(title)}</title>
+<style>
+${hljsCss}
+${appCss}
+${hasMath ? KATEX_CSS : ''}
+${STANDALONE_CSS}
+</style>
+</head>
+<body>
+<main class="standalone">
+<article class="markdown-body">
+${body}
+</article>
+</main>
+${hasDiagrams ? mermaidLoader(nonce) : ''}
+</body>
+</html>
+`;
+}
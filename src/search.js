@@ -0,0 +1,72 @@
+// Search tokenizing, matching and snippet helpers. The index itself lives in
+// KV (see the search index helpers in worker.js); these functions are pure.
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 40;
+const MAX_TOKENS_PER_FILE = 5000;
+const SNIPPET_RADIUS = 80;
+
+export function tokenize(text) {
+  const matches = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return matches.filter((t) => t.length >= MIN_TOKEN_LENGTH && t.length <= MAX_TOKEN_LENGTH);
+}
+
+// Unique tokens for the index entry, capped so one huge file can't bloat it.
+export function indexTokens(text) {
+  return [...new Set(tokenize(text))].slice(0, MAX_TOKENS_PER_FILE);
+}
+
+// Every query term must prefix-match a token in the title or body.
+// Returns a score (higher is better) or 0 for no match.
+export function scoreEntry(entry, terms) {
+  const titleTokens = tokenize(entry.title);
+  let score = 0;
+  for (const term of terms) {
+    const inTitle = titleTokens.some((t) => t.startsWith(term));
+    const inBody = entry.tokens.some((t) => t.startsWith(term));
+    if (!inTitle && !inBody) return 0;
+    if (inTitle) score += 3;
+    if (inBody) score += 1;
+  }
+  return score;
+}
+
+// Returns { text, highlights } where highlights are [start, end) offsets into
+// text, so the client can wrap them without parsing HTML.
+export function buildSnippet(content, terms) {
+  const lower = content.toLowerCase();
+  let first = -1;
+  for (const term of terms) {
+    const idx = lower.indexOf(term);
+    if (idx !== -1 && (first === -1 || idx < first)) first = idx;
+  }
+
+  const start = first === -1 ? 0 : Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(content.length, (first === -1 ? 0 : first) + SNIPPET_RADIUS * 2);
+  let text = content.slice(start, end).replace(/\s+/g, ' ').trim();
+  if (start > 0) text = '…' + text;
+  if (end < content.length) text += '…';
+
+  return { text, highlights: findHighlights(text, terms) };
+}
+
+export function findHighlights(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    let idx = lower.indexOf(term);
+    while (idx !== -1) {
+      ranges.push([idx, idx + term.length]);
+      idx = lower.indexOf(term, idx + term.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push(r);
+  }
+  return merged;
+}
@@ -0,0 +1,54 @@
+// Wiki-style links between a user's files: `[[Note Title]]`, `[[uuid]]`, or
+// `[[target|label]]` to show different text. Targets match a file's ID or its
+// filename, case-insensitively and with or without the extension. The browser
+// has a copy of the markdown-it rule in public/js/app.js; keep the two in step.
+
+import { extensionOf } from './formats.js';
+
+export function normalizeLinkTarget(target) {
+  return target.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// The targets a file answers to besides its ID: "Plan.md" → ['plan.md', 'plan']
+export function linkTitleKeys(filename) {
+  const full = normalizeLinkTarget(filename || '');
+  if (!full) return [];
+  const ext = extensionOf(full);
+  return ext ? [full, full.slice(0, -(ext.length + 1))] : [full];
+}
+
+function wikiLink(state, silent) {
+  const src = state.src;
+  const start = state.pos;
+  if (!src.startsWith('[[', start)) return false;
+  const end = src.indexOf(']]', start + 2);
+  if (end === -1) return false;
+  const inner = src.slice(start + 2, end);
+  if (/[[\]\n]/.test(inner)) return false;
+
+  const bar = inner.indexOf('|');
+  const target = (bar === -1 ? inner : inner.slice(0, bar)).trim();
+  if (!target) return false;
+  if (!silent) {
+    const token = state.push('wikilink', '', 0);
+    token.meta = { target: normalizeLinkTarget(target) };
+    token.content = (bar === -1 ? target : inner.slice(bar + 1).trim()) || target;
+  }
+  state.pos = end + 2;
+  return true;
+}
+
+// Resolution comes from `env.wikiLinks` at render time: a map of normalized
+// target → { id, filename } for targets that exist. Without a map (shared
+// pages) links render as plain text; with one, missing targets are flagged.
+export function wikiLinkPlugin(md) {
+  const escape = md.utils.escapeHtml;
+  md.inline.ruler.before('link', 'wikilink', wikiLink);
+  md.renderer.rules.wikilink = (tokens, idx, options, env) => {
+    const { content, meta } = tokens[idx];
+    if (!env?.wikiLinks) return `<span class="wikilink">${escape(content)}</span>`;
+    const file = env.wikiLinks[meta.target];
+    if (!file) return `<span class="wikilink broken" title="No file named &quot;${escape(meta.target)}&quot;">${escape(content)}</span>`;
+    return `<a class="wikilink" href="/${encodeURIComponent(file.id)}" data-file-id="${escape(file.id)}" title="${escape(file.filename)}">${escape(content)}</a>`;
+  };
+}
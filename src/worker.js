@@ -1,11 +1,31 @@
 import { Hono } from 'hono';
+import { stream } from 'hono/streaming';
 import { getCookie, setCookie, deleteCookie } from 'hono/cookie';
+import { HTTPException } from 'hono/http-exception';
 import { createLogger } from './logger.js';
+import { diffLines } from './diff.js';
+import { tokenize, indexTokens, scoreEntry, buildSnippet, findHighlights } from './search.js';
+import { parseUploadExtensions, isAllowedUpload, decodeText, detectFormat, extensionOf } from './formats.js';
+import { readZip, ZipWriter, ZipError } from './zip.js';
+import { renderContent, renderDocument, extractWikiLinks, MERMAID_SCRIPT_URL } from './render.js';
+import { parseFrontMatter } from './frontmatter.js';
+import { linkTitleKeys } from './wikilinks.js';
+import { readingStats, recordView, viewSeries, recentViews } from './analytics.js';
+
+export { LibraryEvents } from './events.js';
 
 const app = new Hono();
 
 // ── Web Crypto auth helpers ─────────────────────────────────────────────────
 
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/../g).map((h) => parseInt(h, 16)));
+}
+
 async function signValue(value, secret) {
   const encoder = new TextEncoder();
   const key = await crypto.subtle.importKey(
@@ -16,22 +36,372 @@ async function signValue(value, secret) {
     ['sign'],
   );
   const sig = await crypto.subtle.sign('HMAC', key, encoder.encode(value));
-  return [...new Uint8Array(sig)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  return toHex(sig);
 }
 
+// Returns the signed value (the user ID) if the signature checks out, else null.
 async function verifySignedCookie(cookieValue, secret) {
-  if (!cookieValue) return false;
+  if (!cookieValue) return null;
   const parts = cookieValue.split('.');
-  if (parts.length !== 2) return false;
+  if (parts.length !== 2) return null;
   const [value, sig] = parts;
   const expected = await signValue(value, secret);
   const encoder = new TextEncoder();
   const a = encoder.encode(sig);
   const b = encoder.encode(expected);
+  if (a.byteLength !== b.byteLength) return null;
+  return crypto.subtle.timingSafeEqual(a, b) ? value : null;
+}
+
+// Stored as `pbkdf2$<iterations>$<salt hex>$<hash hex>`. 100k is the
+// PBKDF2 iteration ceiling in Workers.
+const PBKDF2_ITERATIONS = 100000;
+
+async function derivePasswordHash(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits'],
+  );
+  return crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derivePasswordHash(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${toHex(salt)}$${toHex(hash)}`;
+}
+
+async function verifyPassword(password, stored) {
+  const parts = (stored || '').split('$');
+  if (parts.length !== 4 || parts[0] !== 'pbkdf2') return false;
+  const iterations = Number(parts[1]);
+  const hash = await derivePasswordHash(password, fromHex(parts[2]), iterations);
+  const a = new Uint8Array(hash);
+  const b = fromHex(parts[3]);
   if (a.byteLength !== b.byteLength) return false;
   return crypto.subtle.timingSafeEqual(a, b);
 }
 
+// ── User helpers ────────────────────────────────────────────────────────────
+// Accounts live in the `users` KV key. Each user's history, folders, meta and
+// other per-file keys are stored under `u:{userId}:` via scopedKV().
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function generateUserId() {
+  return 'u-' + crypto.randomUUID().slice(0, 8);
+}
+
+async function readUsers(kv) {
+  const data = await kv.get('users');
+  if (!data) return [];
+  try {
+    return JSON.parse(data);
+  } catch {
+    return [];
+  }
+}
+
+async function writeUsers(kv, users) {
+  await kv.put('users', JSON.stringify(users));
+}
+
+function findUserByName(users, username) {
+  const lower = username.toLowerCase();
+  return users.find((u) => u.username.toLowerCase() === lower);
+}
+
+// User record without the password hash, safe to return from the API
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    disabled: !!user.disabled,
+    created: user.created,
+  };
+}
+
+// `coordinator` is the user's LibraryEvents stub, which serializes document
+// writes (see withLock()); null leaves them unlocked
+function scopedKV(kv, userId, coordinator = null) {
+  const prefix = `u:${userId}:`;
+  return {
+    coordinator,
+    get: (key, opts) => kv.get(prefix + key, opts),
+    getWithMetadata: (key, opts) => kv.getWithMetadata(prefix + key, opts),
+    put: (key, value, opts) => kv.put(prefix + key, value, opts),
+    delete: (key) => kv.delete(prefix + key),
+    async list(opts = {}) {
+      const list = await kv.list({ ...opts, prefix: prefix + (opts.prefix || '') });
+      return {
+        ...list,
+        keys: list.keys.map((k) => ({ ...k, name: k.name.slice(prefix.length) })),
+      };
+    },
+  };
+}
+
+// Pre-accounts data: these keys and everything under these prefixes
+const LEGACY_KEYS = ['history', 'folders', 'search-index', 'meta-index', 'meta-index-pending'];
+const LEGACY_PREFIXES = ['meta:', 'revisions:'];
+// Keys handled per call to migrateLegacyData(). Moving one costs a read, a
+// write and a delete, which keeps each call well inside a request's KV limits.
+const MIGRATION_BATCH = 100;
+
+// { userId, sharesCursor?, completedAt? } in the unscoped `legacy-migration`
+// key; completedAt is only set once nothing is left to move
+async function readMigration(kv) {
+  const data = await kv.get('legacy-migration');
+  if (!data) return null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+async function writeMigration(kv, migration) {
+  await kv.put('legacy-migration', JSON.stringify(migration));
+}
+
+// Moves pre-accounts data (unscoped keys) into the first admin's keyspace and
+// gives existing share links that owner, MIGRATION_BATCH keys at a time.
+// Moved keys are deleted and the share scan's cursor is saved, so each call
+// picks up where the last one stopped. Returns { moved, done }.
+async function migrateLegacyData(kv, userId) {
+  const migration = (await readMigration(kv)) || { userId };
+  if (migration.completedAt) return { moved: 0, done: true };
+  const userKv = scopedKV(kv, userId);
+  let budget = MIGRATION_BATCH;
+  let moved = 0;
+
+  const move = async (name) => {
+    budget--;
+    const value = await kv.get(name);
+    if (value === null) return;
+    // The derived indexes are rebuilt from the moved keys instead
+    if (!name.startsWith('meta-index') && name !== 'search-index') await userKv.put(name, value);
+    await kv.delete(name);
+    moved++;
+  };
+
+  for (const name of LEGACY_KEYS) {
+    if (budget > 0) await move(name);
+  }
+  let keysLeft = false;
+  for (const prefix of LEGACY_PREFIXES) {
+    let cursor;
+    while (budget > 0) {
+      const list = await kv.list({ prefix, cursor, limit: budget });
+      for (const key of list.keys) await move(key.name);
+      if (list.list_complete) break;
+      cursor = list.cursor;
+    }
+    if (budget === 0) keysLeft = true;
+  }
+
+  let sharesDone = false;
+  let cursor = migration.sharesCursor;
+  while (!keysLeft && budget > 0) {
+    const list = await kv.list({ prefix: 'share:', cursor, limit: budget });
+    for (const key of list.keys) {
+      budget--;
+      const value = await kv.get(key.name);
+      try {
+        // Shares made before accounts get an owner, and every share gets
+        // its owner's pointer (see writeShare())
+        const share = JSON.parse(value);
+        share.userId ||= userId;
+        await writeShare(kv, key.name.slice(6), share);
+      } catch { /* skip corrupt */ }
+    }
+    if (list.list_complete) {
+      sharesDone = true;
+      break;
+    }
+    cursor = list.cursor;
+  }
+
+  const done = !keysLeft && sharesDone;
+  if (done) {
+    // Indexes built from a half-moved library would miss files
+    await userKv.delete('meta-index');
+    await userKv.delete('search-index');
+    await writeMigration(kv, { userId, completedAt: new Date().toISOString() });
+  } else {
+    await writeMigration(kv, { userId, sharesCursor: keysLeft ? migration.sharesCursor : cursor });
+  }
+  return { moved, done };
+}
+
+// Continues a migration the first login didn't finish; called on admin
+// sign-in and by the cron. Accounts from before progress was recorded have
+// no `legacy-migration` key and are checked once against the first admin.
+async function resumeLegacyMigration(env, log) {
+  const migration = await readMigration(env.HISTORY);
+  if (migration?.completedAt) return;
+  const userId = migration?.userId || (await readUsers(env.HISTORY)).find((u) => u.role === 'admin')?.id;
+  if (!userId) return;
+  const { moved, done } = await migrateLegacyData(env.HISTORY, userId);
+  log.info('migration.resume', { userId, migratedKeys: moved, done });
+}
+
+// Share links and API tokens made before their owners had pointer keys (see
+// writeShare() and writeTokenPointer()) get them from the cron,
+// MIGRATION_BATCH keys per run. Progress is kept in the unscoped
+// `pointer-backfill` key as { share?, token?, completedAt? }, where each
+// prefix holds its list cursor, or true once it's done.
+const POINTER_BACKFILLS = {
+  // Shares without an owner are handled by migrateLegacyData()
+  share: (kv, id, share) => share.userId && writeSharePointer(kv, id, share),
+  token: (kv, hash, token) => writeTokenPointer(kv, hash, token),
+};
+
+async function backfillPointers(env, log) {
+  const kv = env.HISTORY;
+  const state = JSON.parse((await kv.get('pointer-backfill')) || '{}');
+  if (state.completedAt) return;
+  const kind = Object.keys(POINTER_BACKFILLS).find((k) => state[k] !== true);
+  const list = await kv.list({ prefix: `${kind}:`, cursor: state[kind], limit: MIGRATION_BATCH });
+  for (const key of list.keys) {
+    try {
+      await POINTER_BACKFILLS[kind](kv, key.name.slice(kind.length + 1), JSON.parse(await kv.get(key.name)));
+    } catch { /* skip corrupt or expiring */ }
+  }
+  state[kind] = list.list_complete || list.cursor;
+  if (Object.keys(POINTER_BACKFILLS).every((k) => state[k] === true)) state.completedAt = new Date().toISOString();
+  await kv.put('pointer-backfill', JSON.stringify(state));
+  log.info('backfill.run', { kind, keys: list.keys.length, done: !!state.completedAt });
+}
+
+// ── API token helpers ───────────────────────────────────────────────────────
+// Personal tokens are shown once at creation; KV only keeps a SHA-256 of the
+// secret, as `token:{hash}` → { id, userId, name, scope, created, lastUsedAt }.
+// Each also has an empty `token:{hash}` pointer in its owner's keyspace, so
+// listing a user's tokens reads only theirs.
+
+const TOKEN_SCOPES = ['full', 'read', 'upload'];
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+function generateTokenId() {
+  return 't-' + crypto.randomUUID().slice(0, 8);
+}
+
+function generateTokenSecret() {
+  return 'mdv_' + toHex(crypto.getRandomValues(new Uint8Array(24)));
+}
+
+async function sha256Hex(value) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+}
+
+async function writeTokenPointer(kv, hash, token) {
+  await scopedKV(kv, token.userId).put(`token:${hash}`, '');
+}
+
+async function listApiTokens(kv, userId) {
+  const tokens = [];
+  let cursor;
+  while (true) {
+    const list = await scopedKV(kv, userId).list({ prefix: 'token:', cursor });
+    for (const key of list.keys) {
+      const hash = key.name.slice(6);
+      const data = await kv.get(`token:${hash}`);
+      if (!data) continue;
+      try {
+        const token = JSON.parse(data);
+        if (token.userId === userId) tokens.push({ hash, ...token });
+      } catch { /* skip corrupt */ }
+    }
+    if (list.list_complete) break;
+    cursor = list.cursor;
+  }
+  return tokens;
+}
+
+// Token management and admin routes need a browser session; otherwise
+// "read" allows safe methods and "upload" only creates new files.
+function tokenAllows(scope, method, path) {
+  if (path.startsWith('/api/tokens') || path.startsWith('/api/admin/')) return false;
+  if (scope === 'full') return true;
+  if (scope === 'read') return method === 'GET' || method === 'HEAD';
+  if (scope === 'upload') return method === 'POST' && (path === '/api/upload' || path === '/api/upload/batch' || path === '/api/paste' || path === '/api/import');
+  return false;
+}
+
+function publicApiToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    scope: token.scope,
+    created: token.created,
+    lastUsedAt: token.lastUsedAt || null,
+  };
+}
+
+// ── Document helpers ────────────────────────────────────────────────────────
+// `history`, `folders` and `trash` are single KV documents that many routes
+// rewrite. KV has no compare-and-swap, so each read-modify-write runs under a
+// lease from the user's LibraryEvents object, and each write bumps a version
+// kept in the key's KV metadata. The metadata, search and link indexes take
+// the same leases through withLock(). Without the LIBRARY_EVENTS binding
+// writes go unlocked.
+
+const LOCK_TTL_MS = 10000;
+const LOCK_WAIT_MS = 3000;
+const LOCK_RETRY_MS = 50;
+
+// Becomes a 409 (see app.onError)
+class ConflictError extends Error {}
+
+async function withLock(kv, name, fn) {
+  const { coordinator } = kv;
+  if (!coordinator) return fn();
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  let token;
+  while (!(token = await coordinator.acquire(name, LOCK_TTL_MS))) {
+    if (Date.now() >= deadline) throw new ConflictError('Another change is still being saved; try again');
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+  try {
+    return await fn();
+  } finally {
+    await coordinator.release(name, token);
+  }
+}
+
+async function readDocument(kv, key) {
+  const { value, metadata } = await kv.getWithMetadata(key);
+  let data = [];
+  if (value) {
+    try {
+      data = JSON.parse(value);
+    } catch { /* treat as empty */ }
+  }
+  return { data, version: metadata?.version || 0 };
+}
+
+// fn(data) changes the array in place or returns a replacement; it can also
+// return { error, status } to abort, or false when there's nothing to write.
+// Returns { data, version } or fn's error. An `ifMatch` version other than
+// the current one throws ConflictError with the `conflict` message.
+async function updateDocument(kv, key, fn, { ifMatch = null, conflict } = {}) {
+  return withLock(kv, key, async () => {
+    const { data, version } = await readDocument(kv, key);
+    if (ifMatch !== null && ifMatch !== version) throw new ConflictError(conflict);
+    const result = await fn(data);
+    if (result?.error) return result;
+    if (result === false) return { data, version };
+    const next = Array.isArray(result) ? result : data;
+    await kv.put(key, JSON.stringify(next), { metadata: { version: version + 1 } });
+    return { data: next, version: version + 1 };
+  });
+}
+
 // ── History helpers ─────────────────────────────────────────────────────────
 
 async function readHistory(kv) {
@@ -44,27 +414,38 @@ async function readHistory(kv) {
   }
 }
 
-async function writeHistory(kv, history) {
-  await kv.put('history', JSON.stringify(history));
+// History keeps the most recently viewed files, newest first. Views drop the
+// oldest entries past HISTORY_LIMIT; the files themselves stay in the library.
+const DEFAULT_HISTORY_LIMIT = 500;
+
+function historyLimit(env) {
+  const limit = Number(env.HISTORY_LIMIT);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_HISTORY_LIMIT;
+}
+
+// `limit` trims the result; changes that can only shrink history omit it
+async function updateHistory(kv, fn, { limit } = {}) {
+  return updateDocument(kv, 'history', async (history) => {
+    const result = await fn(history);
+    const next = Array.isArray(result) ? result : history;
+    if (result === false || result?.error || !limit || next.length <= limit) return result;
+    return next.slice(0, limit);
+  });
 }
 
-async function addHistoryEntry(kv, entry) {
+// `view` counts the entry as a read of the file (see analytics.js); uploads
+// and restores add history without one. `reading` fills in reading stats for
+// files stored before they were computed.
+async function addHistoryEntry(kv, entry, limit, { view = false, reading } = {}) {
   const now = new Date().toISOString();
-  const history = await readHistory(kv);
-  const filtered = history.filter((h) => h.id !== entry.id);
-  filtered.unshift({ ...entry, viewedAt: now });
+  await updateHistory(kv, (history) => [{ ...entry, viewedAt: now }, ...history.filter((h) => h.id !== entry.id)], { limit });
   // Update lastAccessedAt in metadata (authoritative timestamp for retention)
-  const metaKey = `meta:${entry.id}`;
-  const metaJson = await kv.get(metaKey);
-  if (metaJson) {
-    try {
-      const meta = JSON.parse(metaJson);
-      meta.lastAccessedAt = now;
-      delete meta.archivedAt;
-      await kv.put(metaKey, JSON.stringify(meta));
-    } catch { /* leave metadata unchanged on parse error */ }
-  }
-  await writeHistory(kv, filtered);
+  return changeMeta(kv, entry.id, (meta) => {
+    meta.lastAccessedAt = now;
+    delete meta.archivedAt;
+    if (view) meta.views = recordView(meta.views, now);
+    if (reading && meta.words === undefined) Object.assign(meta, reading);
+  });
 }
 
 // ── Folder helpers ──────────────────────────────────────────────────────────
@@ -83,385 +464,3038 @@ async function readFolders(kv) {
   }
 }
 
-async function writeFolders(kv, folders) {
-  await kv.put('folders', JSON.stringify(folders));
+// `ifMatch` is the folders version the client last saw, for moves made by
+// dragging in a tree that may be out of date
+async function updateFolders(kv, fn, { ifMatch } = {}) {
+  return updateDocument(kv, 'folders', fn, {
+    ifMatch,
+    conflict: 'Folders were changed in another tab; reload and try again',
+  });
 }
 
-// ── KV metadata scan helper ─────────────────────────────────────────────────
+// Versions travel as ETags: `"7"`
+function versionETag(version) {
+  return `"${version}"`;
+}
 
-async function listAllMeta(kv) {
-  const result = new Map();
-  let cursor;
-  while (true) {
-    const list = await kv.list({ prefix: 'meta:', cursor });
-    for (const key of list.keys) {
-      const metaJson = await kv.get(key.name);
-      if (!metaJson) continue;
-      try {
-        result.set(key.name.slice(5), JSON.parse(metaJson));
-      } catch { /* skip corrupt */ }
+function parseIfMatch(header) {
+  const match = /^(?:W\/)?"(\d+)"$/.exec(header?.trim() || '');
+  return match ? Number(match[1]) : null;
+}
+
+// Folders form a tree through `parentId` (null or missing at the top level).
+// Siblings are ordered by their position in the array; files by `fileIds`.
+
+function parentOf(folders, folder) {
+  return folder.parentId && folders.some((f) => f.id === folder.parentId) ? folder.parentId : null;
+}
+
+// The folder's ID plus the IDs of every folder below it
+function subtreeIds(folders, id) {
+  const ids = new Set([id]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const f of folders) {
+      if (f.parentId && ids.has(f.parentId) && !ids.has(f.id)) {
+        ids.add(f.id);
+        grew = true;
+      }
     }
-    if (list.list_complete) break;
-    cursor = list.cursor;
   }
-  return result;
+  return ids;
 }
 
-// ── Retention cron handler ──────────────────────────────────────────────────
-// Runs daily at 03:00 UTC. Archives after 30 days of inactivity, deletes after 60.
+// Folder names from the top level down to `id`
+function folderPath(folders, id) {
+  const names = [];
+  const seen = new Set();
+  let folder = folders.find((f) => f.id === id);
+  while (folder && !seen.has(folder.id)) {
+    seen.add(folder.id);
+    names.unshift(folder.name);
+    folder = folders.find((f) => f.id === parentOf(folders, folder));
+  }
+  return names;
+}
 
-const ARCHIVE_MS = 30 * 24 * 60 * 60 * 1000;
-const DELETE_MS = 60 * 24 * 60 * 60 * 1000;
+// Moves `folder` to position `index` among the children of `parentId`
+// (the end when index is omitted). Mutates `folders`.
+function placeFolder(folders, folder, parentId, index) {
+  const current = folders.indexOf(folder);
+  if (current !== -1) folders.splice(current, 1);
+  folder.parentId = parentId;
+  const siblings = folders.filter((f) => parentOf(folders, f) === parentId);
+  if (index === undefined || index >= siblings.length) {
+    const last = siblings[siblings.length - 1];
+    folders.splice(last ? folders.indexOf(last) + 1 : folders.length, 0, folder);
+  } else {
+    folders.splice(folders.indexOf(siblings[Math.max(0, index)]), 0, folder);
+  }
+}
 
-async function runRetention(env, log) {
-  const now = Date.now();
-  const allMeta = await listAllMeta(env.HISTORY);
-  const folders = await readFolders(env.HISTORY);
-  const folderIds = new Set(folders.map((f) => f.id));
-  const deletedIds = [];
-  let archivedCount = 0;
+function insertAt(list, item, index) {
+  if (index === undefined || index >= list.length) list.push(item);
+  else list.splice(Math.max(0, index), 0, item);
+}
 
-  for (const [id, meta] of allMeta) {
-    const ref = meta.lastAccessedAt || meta.created;
-    if (!ref) continue;
+function parseIndex(value) {
+  if (value === undefined || value === null) return { index: undefined };
+  if (!Number.isInteger(value) || value < 0) return { error: 'index must be a non-negative integer' };
+  return { index: value };
+}
 
-    // Skip files in valid folders (exempt from retention)
-    if (meta.folderId && folderIds.has(meta.folderId)) continue;
+// ── Pagination helpers ──────────────────────────────────────────────────────
+// Lists take ?limit= and ?cursor=. A cursor is the sort key of the last item
+// on the previous page, so entries added at the front don't shift later
+// pages. Responses stay plain arrays; the X-Next-Cursor header carries the
+// cursor for the next page and is left off the last one. Without a limit the
+// whole list comes back, as it always has.
 
-    // Clear stale folder references
-    if (meta.folderId && !folderIds.has(meta.folderId)) {
-      delete meta.folderId;
-      await env.HISTORY.put(`meta:${id}`, JSON.stringify(meta));
-    }
+const MAX_PAGE_SIZE = 200;
 
-    const age = now - new Date(ref).getTime();
+function encodeCursor(key) {
+  return btoa(JSON.stringify(key)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-    if (age >= DELETE_MS) {
-      await env.HISTORY.delete(`meta:${id}`);
-      await env.MD_FILES.delete(`${id}.md`);
-      deletedIds.push(id);
-    } else if (age >= ARCHIVE_MS && !meta.archivedAt) {
-      meta.archivedAt = new Date().toISOString();
-      await env.HISTORY.put(`meta:${id}`, JSON.stringify(meta));
-      archivedCount++;
-    }
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    return Array.isArray(key) && key.every((part) => typeof part === 'string') ? key : null;
+  } catch {
+    return null;
   }
+}
 
-  if (deletedIds.length > 0) {
-    const deleted = new Set(deletedIds);
-    const history = await readHistory(env.HISTORY);
-    await writeHistory(env.HISTORY, history.filter((h) => !deleted.has(h.id)));
+// Returns { limit, after } (both null when absent) or { error }
+function parsePageQuery(c) {
+  const rawLimit = c.req.query('limit');
+  const rawCursor = c.req.query('cursor');
+  let limit = null;
+  if (rawLimit !== undefined) {
+    limit = Number(rawLimit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer from 1 to ${MAX_PAGE_SIZE}` };
+    }
   }
+  let after = null;
+  if (rawCursor) {
+    after = decodeCursor(rawCursor);
+    if (!after) return { error: 'Invalid cursor' };
+  }
+  return { limit, after };
+}
 
-  log.info('retention.run', { archived: archivedCount, deleted: deletedIds.length });
+// Sorts `items` by keyOf(item) under `compare` and returns the requested
+// page, setting X-Next-Cursor when more follow
+function paginate(c, items, { limit, after }, keyOf, compare) {
+  const sorted = items.sort((a, b) => compare(keyOf(a), keyOf(b)));
+  const rest = after ? sorted.filter((item) => compare(keyOf(item), after) > 0) : sorted;
+  if (!limit || rest.length <= limit) return rest;
+  const page = rest.slice(0, limit);
+  c.header('X-Next-Cursor', encodeCursor(keyOf(page[page.length - 1])));
+  return page;
 }
 
-// ── Logging middleware ───────────────────────────────────────────────────
+// Keys are [timestamp, id]: newest first, ties broken by ID
+function newestFirst(a, b) {
+  return b[0].localeCompare(a[0]) || a[1].localeCompare(b[1]);
+}
 
-app.use('/api/*', async (c, next) => {
-  const log = createLogger(c.env.LOG_LEVEL);
-  c.set('logger', log);
-  const start = Date.now();
-  await next();
-  const duration = Date.now() - start;
-  const status = c.res.status;
-  const method = c.req.method;
-  const path = new URL(c.req.url).pathname;
-  const lvl = status === 401 ? 'warn' : 'info';
-  log[lvl]('request', { method, path, status, duration });
-});
+// ── Tag helpers ─────────────────────────────────────────────────────────────
+// Tags live on `meta:{uuid}` as a sorted array. Unlike folders, a file can
+// carry any number of them.
 
-// ── Auth middleware ──────────────────────────────────────────────────────────
+const MAX_TAGS_PER_FILE = 20;
+const MAX_TAG_LENGTH = 40;
+const TAG_RE = /^[\p{L}\p{N}][\p{L}\p{N}_.\/+#-]*$/u;
 
-app.use('/api/*', async (c, next) => {
-  const path = new URL(c.req.url).pathname;
-  if (path === '/api/auth/login' || path === '/api/auth/check') {
-    return next();
-  }
-  const token = getCookie(c, 'auth');
-  if (!(await verifySignedCookie(token, c.env.COOKIE_SECRET))) {
-    const log = c.get('logger');
-    log.warn('auth.unauthorized', { path });
-    return c.json({ error: 'Unauthorized' }, 401);
+// "#Project Notes " → "project-notes"; null for anything unusable
+function normalizeTag(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const tag = String(value).trim().replace(/^#/, '').toLowerCase().replace(/\s+/g, '-');
+  return tag.length <= MAX_TAG_LENGTH && TAG_RE.test(tag) ? tag : null;
+}
+
+// ?tag= on the listing routes: { tag }, null when absent, or { error } for a
+// tag that can't exist rather than silently listing everything
+function parseTagQuery(c) {
+  const raw = c.req.query('tag');
+  if (!raw) return { tag: null };
+  const tag = normalizeTag(raw);
+  return tag ? { tag } : { error: `Invalid tag: ${raw.slice(0, MAX_TAG_LENGTH)}` };
+}
+
+function mergeTags(current, added) {
+  const tags = new Set(current || []);
+  for (const value of added) {
+    const tag = normalizeTag(value);
+    if (tag) tags.add(tag);
   }
-  return next();
-});
+  return [...tags].sort();
+}
 
-// ── Auth routes ─────────────────────────────────────────────────────────────
+// `tags:` in front matter may be a list or a "a, b" string
+function frontMatterTags(content) {
+  const tags = parseFrontMatter(content).data?.tags;
+  if (Array.isArray(tags)) return mergeTags([], tags).slice(0, MAX_TAGS_PER_FILE);
+  if (typeof tags === 'string') return mergeTags([], tags.split(',')).slice(0, MAX_TAGS_PER_FILE);
+  return [];
+}
 
-app.post('/api/auth/login', async (c) => {
-  const { password } = await c.req.json();
-  if (password !== c.env.ACCESS_PASSWORD) {
-    const log = c.get('logger');
-    log.warn('auth.failure', { reason: 'invalid_password' });
-    return c.json({ error: 'Invalid password' }, 401);
+// ── Front matter helpers ────────────────────────────────────────────────────
+// Parsed front matter is kept on `meta.frontMatter` for the viewer's properties
+// panel. `tags` is left out since it's normalized into meta.tags instead.
+
+const MAX_FRONT_MATTER_BYTES = 4096;
+const FRONT_MATTER_SUMMARY_KEYS = ['title', 'description', 'date'];
+
+function frontMatterProperties(content, format) {
+  if (format === 'text') return null;
+  const { data } = parseFrontMatter(content);
+  if (!data) return null;
+  const { tags, ...properties } = data;
+  if (Object.keys(properties).length === 0) return null;
+  if (JSON.stringify(properties).length <= MAX_FRONT_MATTER_BYTES) return properties;
+
+  // Oversized blocks keep only the keys the viewer leads with
+  const summary = {};
+  for (const key of FRONT_MATTER_SUMMARY_KEYS) {
+    if (typeof properties[key] === 'string') summary[key] = properties[key].slice(0, 500);
   }
-  const value = 'authenticated';
-  const sig = await signValue(value, c.env.COOKIE_SECRET);
-  const signed = `${value}.${sig}`;
-  setCookie(c, 'auth', signed, {
-    httpOnly: true,
-    sameSite: 'Lax',
-    path: '/',
-    maxAge: 60 * 60 * 24 * 30,
-  });
-  const log = c.get('logger');
-  log.info('auth.login');
-  return c.json({ success: true });
-});
+  return Object.keys(summary).length > 0 ? summary : null;
+}
 
-app.post('/api/auth/logout', (c) => {
-  deleteCookie(c, 'auth', { path: '/' });
-  const log = c.get('logger');
-  log.info('auth.logout');
-  return c.json({ success: true });
-});
+// ── KV metadata helpers ─────────────────────────────────────────────────────
+// Each file's metadata lives in `meta:{uuid}`, and the `meta-index` key holds
+// a copy of all of it (file ID → meta) so listings cost one read rather than
+// one per file. Writes go through writeMeta()/writeMetas()/deleteMetas(),
+// which write the per-file keys straight away; request stores collect the
+// index changes and write the index once at the end (see deferMetaIndex()).
+// Index writes hold the `meta-index` lease (see withLock()), and changes to an
+// existing file's metadata hold a lease on its key (see changeMeta()).
+//
+// The per-file keys stay authoritative. Each carries a hash of its JSON in KV
+// metadata, so the daily cron can spot index copies that fell behind without
+// reading every file. Only the cron builds a missing index, which is also how
+// existing libraries migrate; until then listings read the per-file keys.
+
+async function readMetaIndex(kv) {
+  const data = await kv.get('meta-index');
+  if (!data) return null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
 
-app.get('/api/auth/check', async (c) => {
-  const token = getCookie(c, 'auth');
-  return c.json({ authenticated: await verifySignedCookie(token, c.env.COOKIE_SECRET) });
-});
+async function writeMetaIndex(kv, index) {
+  await kv.put('meta-index', JSON.stringify(index));
+}
 
-// ── File upload ─────────────────────────────────────────────────────────────
+async function readMetaKey(kv, name) {
+  const metaJson = await kv.get(name);
+  if (!metaJson) return null;
+  try {
+    return JSON.parse(metaJson);
+  } catch {
+    return null;
+  }
+}
 
-app.post('/api/upload', async (c) => {
-  const body = await c.req.parseBody();
-  const file = body['file'];
+async function metaHash(json) {
+  return (await sha256Hex(json)).slice(0, 16);
+}
 
-  if (!file || !(file instanceof File)) {
-    return c.json({ error: 'No file provided' }, 400);
+// While the cron scans, index changes are also collected in
+// `meta-index-pending` (id → meta | null) and applied on top of the scan
+async function readPendingMeta(kv) {
+  const data = await kv.get('meta-index-pending');
+  if (!data) return null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return {};
   }
+}
 
-  const originalName = file.name || 'untitled.md';
-  if (!originalName.toLowerCase().endsWith('.md')) {
-    return c.json({ error: 'Only .md files are accepted' }, 400);
+// Reads every `meta:` key whose copy in `index` is missing or has a different
+// hash. Keys written before hashes were kept are always read.
+// { found: Map of id → meta read, seen: Set of every id listed }
+async function scanMetaKeys(kv, index = {}) {
+  const found = new Map();
+  const seen = new Set();
+  let cursor;
+  while (true) {
+    const list = await kv.list({ prefix: 'meta:', cursor });
+    for (const key of list.keys) {
+      const id = key.name.slice(5);
+      seen.add(id);
+      const hash = key.metadata?.hash;
+      if (index[id] && hash && hash === await metaHash(JSON.stringify(index[id]))) continue;
+      const meta = await readMetaKey(kv, key.name);
+      if (meta) found.set(id, meta);
+    }
+    if (list.list_complete) break;
+    cursor = list.cursor;
   }
+  return { found, seen };
+}
 
-  const id = crypto.randomUUID();
-  const content = await file.text();
-  const now = new Date().toISOString();
+// Builds the index if it's missing, else adds missing files, drops deleted
+// ones and rereads files whose hash doesn't match their copy. The scan runs
+// outside the lease, which is too short for reading every key; the lease is
+// held only to start collecting changes and to merge them in at the end.
+async function reconcileMetaIndex(kv) {
+  const before = await withLock(kv, 'meta-index', async () => {
+    if (!(await kv.get('meta-index-pending'))) await kv.put('meta-index-pending', '{}');
+    return readMetaIndex(kv);
+  });
+  const { found, seen } = await scanMetaKeys(kv, before || {});
+  return withLock(kv, 'meta-index', async () => {
+    const current = await readMetaIndex(kv);
+    const index = current || {};
+    const pending = (await readPendingMeta(kv)) || {};
+    let changed = !current || Object.keys(pending).length > 0;
+    for (const id of Object.keys(index)) {
+      if (seen.has(id)) continue;
+      delete index[id];
+      changed = true;
+    }
+    for (const [id, meta] of found) {
+      if (JSON.stringify(meta) === JSON.stringify(index[id])) continue;
+      index[id] = meta;
+      changed = true;
+    }
+    // Changes made during the scan win over what it read
+    for (const [id, meta] of Object.entries(pending)) {
+      if (meta) index[id] = meta;
+      else delete index[id];
+    }
+    if (changed) await writeMetaIndex(kv, index);
+    await kv.delete('meta-index-pending');
+    return index;
+  });
+}
 
-  await c.env.MD_FILES.put(`${id}.md`, content);
-  await c.env.HISTORY.put(`meta:${id}`, JSON.stringify({
-    filename: originalName,
-    source: 'upload',
-    size: content.length,
-    created: now,
-    lastAccessedAt: now,
-  }));
-  await addHistoryEntry(c.env.HISTORY, { id, filename: originalName, source: 'upload' });
+// changes: Map of id → meta | null, where null drops the file. Until the cron
+// builds the index, updates are skipped unless a build is collecting them.
+async function updateMetaIndex(kv, changes) {
+  await withLock(kv, 'meta-index', async () => {
+    const pending = await readPendingMeta(kv);
+    if (pending) {
+      for (const [id, meta] of changes) pending[id] = meta || null;
+      await kv.put('meta-index-pending', JSON.stringify(pending));
+    }
+    const index = await readMetaIndex(kv);
+    if (!index) return;
+    for (const [id, meta] of changes) {
+      if (meta) index[id] = meta;
+      else delete index[id];
+    }
+    await writeMetaIndex(kv, index);
+  });
+}
+
+// Makes `kv` collect index changes until flushMetaIndex(), so a request that
+// writes many files (a batch import, a restore) rewrites the index once.
+// Stores without this update the index on every write.
+function deferMetaIndex(kv) {
+  kv.metaChanges = new Map();
+  return kv;
+}
+
+async function flushMetaIndex(kv) {
+  const changes = kv.metaChanges;
+  if (!changes?.size) return;
+  kv.metaChanges = new Map();
+  await updateMetaIndex(kv, changes);
+}
+
+async function queueMetaIndex(kv, changes) {
+  if (!kv.metaChanges) return updateMetaIndex(kv, changes);
+  for (const [id, meta] of changes) kv.metaChanges.set(id, meta);
+}
+
+// entries: [[id, meta], ...]
+async function writeMetas(kv, entries) {
+  if (entries.length === 0) return;
+  const changes = new Map();
+  for (const [id, meta] of entries) {
+    const json = JSON.stringify(meta);
+    await kv.put(`meta:${id}`, json, { metadata: { hash: await metaHash(json) } });
+    // A copy, since callers may keep changing `meta`
+    changes.set(id, JSON.parse(json));
+  }
+  await queueMetaIndex(kv, changes);
+}
+
+async function writeMeta(kv, id, meta) {
+  await writeMetas(kv, [[id, meta]]);
+}
+
+// fn(meta) changes a file's metadata in place, under a lease on its `meta:`
+// key, so a view and an edit of the same file can't drop each other's fields.
+// fn returns false to leave it unchanged, or { error, status } to stop.
+// Returns the stored meta, fn's error, or null if the key is missing or
+// unreadable. Trashed files are passed to fn too.
+async function changeMeta(kv, id, fn) {
+  return withLock(kv, `meta:${id}`, async () => {
+    const meta = await readMetaKey(kv, `meta:${id}`);
+    if (!meta) return null;
+    const result = await fn(meta);
+    if (result?.error) return result;
+    if (result !== false) await writeMeta(kv, id, meta);
+    return meta;
+  });
+}
+
+async function deleteMetas(kv, ids) {
+  if (ids.length === 0) return;
+  for (const id of ids) {
+    await kv.delete(`meta:${id}`);
+  }
+  await queueMetaIndex(kv, new Map(ids.map((id) => [id, null])));
+}
+
+// Includes this request's changes that haven't reached the index yet
+async function listAllMeta(kv) {
+  const index = await readMetaIndex(kv);
+  const all = index ? new Map(Object.entries(index)) : (await scanMetaKeys(kv)).found;
+  for (const [id, meta] of kv.metaChanges || []) {
+    if (meta) all.set(id, meta);
+    else all.delete(id);
+  }
+  return all;
+}
+
+// Raw metadata JSON for a file that exists and isn't in the trash, else null.
+// Routes that act on a single file use this so trashed files look deleted.
+async function readLiveMetaJson(kv, id) {
+  const metaJson = await kv.get(`meta:${id}`);
+  if (!metaJson) return null;
+  try {
+    return JSON.parse(metaJson).deletedAt ? null : metaJson;
+  } catch {
+    return metaJson;
+  }
+}
+
+// ── Trash helpers ───────────────────────────────────────────────────────────
+// Deleting a file sets `deletedAt` on its metadata and takes it out of its
+// folder. Deleting a folder moves it and its subfolders into the `trash` key as
+// one entry; their files get `deletedAt` too but stay in the trashed folders'
+// fileIds so a restore puts everything back. The cron purges trash after
+// TRASH_DAYS.
+
+const DEFAULT_TRASH_DAYS = 30;
+
+async function readTrash(kv) {
+  const data = await kv.get('trash');
+  if (!data) return [];
+  try {
+    return JSON.parse(data);
+  } catch {
+    return [];
+  }
+}
+
+// See updateDocument(); several routes and the cron change the trash at once
+async function updateTrash(kv, fn) {
+  return updateDocument(kv, 'trash', fn);
+}
+
+// Takes files out of the trashed folders that hold them, so restoring or
+// purging a file doesn't leave it behind in a folder entry. Returns whether
+// any entry held one.
+async function removeFromTrashedFolders(kv, ids) {
+  const removed = new Set(ids);
+  let found = false;
+  await updateTrash(kv, (trash) => {
+    if (!trash.some((entry) => trashEntryFileIds(entry).some((fid) => removed.has(fid)))) return false;
+    found = true;
+    for (const entry of trash) {
+      for (const f of entry.folders) f.fileIds = f.fileIds.filter((fid) => !removed.has(fid));
+    }
+  });
+  return found;
+}
+
+function trashDays(env) {
+  return parseRetentionDays(env.TRASH_DAYS, DEFAULT_TRASH_DAYS);
+}
+
+// IDs of the files inside a trashed folder entry
+function trashEntryFileIds(entry) {
+  return entry.folders.flatMap((f) => f.fileIds);
+}
+
+// Permanently removes files: bodies, revisions, metadata and every reference
+// to them in history, folders, shares and the search and link indexes
+async function purgeFiles(env, kv, userId, ids) {
+  if (ids.length === 0) return;
+  for (const id of ids) {
+    await env.MD_FILES.delete(`${id}.md`);
+    await deleteRevisions(kv, env.MD_FILES, id);
+  }
+  await deleteMetas(kv, ids);
+
+  const purged = new Set(ids);
+  await updateHistory(kv, (history) => history.filter((h) => !purged.has(h.id)));
+  await updateFolders(kv, (folders) => {
+    if (!folders.some((f) => f.fileIds.some((fid) => purged.has(fid)))) return false;
+    for (const f of folders) f.fileIds = f.fileIds.filter((fid) => !purged.has(fid));
+  });
+
+  await deleteSharesForFiles(env.HISTORY, userId, ids);
+  await removeFromSearchIndex(kv, ids);
+  await removeFromLinkIndex(kv, ids);
+}
+
+async function purgeTrashFor(env, kv, userId, log) {
+  const days = trashDays(env);
+  if (days === null) return;
+  const cutoff = Date.now() - days * DAY_MS;
+  const expired = (item) => new Date(item.deletedAt).getTime() <= cutoff;
+
+  const trash = await readTrash(kv);
+  const kept = trash.filter((entry) => !expired(entry));
+  const inKeptFolders = new Set(kept.flatMap(trashEntryFileIds));
+  const ids = new Set(trash.filter(expired).flatMap(trashEntryFileIds));
+  for (const [id, meta] of await listAllMeta(kv)) {
+    if (meta.deletedAt && expired(meta) && !inKeptFolders.has(id)) ids.add(id);
+  }
+
+  await purgeFiles(env, kv, userId, [...ids]);
+  if (kept.length !== trash.length) {
+    // By ID, so folders trashed while the purge ran stay put
+    const purged = new Set(trash.filter(expired).map((entry) => entry.id));
+    await updateTrash(kv, (current) => current.filter((entry) => !purged.has(entry.id)));
+  }
+
+  log.info('trash.purge', { userId, folders: trash.length - kept.length, files: ids.size });
+  if (ids.size > 0 || kept.length !== trash.length) await broadcastToUser(env, userId, { type: 'trash.purge' });
+}
+
+// ── Revision helpers ────────────────────────────────────────────────────────
+// Previous bodies live in R2 as `revisions/{uuid}/{revId}.md`; the index of
+// revisions (newest first) is the KV key `revisions:{uuid}`.
+
+const MAX_REVISIONS = 50;
+
+function generateRevisionId() {
+  return 'r-' + crypto.randomUUID().slice(0, 8);
+}
+
+async function readRevisions(kv, fileId) {
+  const data = await kv.get(`revisions:${fileId}`);
+  if (!data) return [];
+  try {
+    return JSON.parse(data);
+  } catch {
+    return [];
+  }
+}
+
+async function writeRevisions(kv, fileId, revisions) {
+  await kv.put(`revisions:${fileId}`, JSON.stringify(revisions));
+}
+
+async function saveRevision(kv, bucket, fileId, content) {
+  const revision = {
+    id: generateRevisionId(),
+    created: new Date().toISOString(),
+    size: content.length,
+  };
+  await bucket.put(`revisions/${fileId}/${revision.id}.md`, content);
+
+  const revisions = await readRevisions(kv, fileId);
+  revisions.unshift(revision);
+  for (const old of revisions.splice(MAX_REVISIONS)) {
+    await bucket.delete(`revisions/${fileId}/${old.id}.md`);
+  }
+  await writeRevisions(kv, fileId, revisions);
+  return revision;
+}
+
+async function readRevisionContent(kv, bucket, fileId, revId) {
+  const revisions = await readRevisions(kv, fileId);
+  const revision = revisions.find((r) => r.id === revId);
+  if (!revision) return null;
+  const object = await bucket.get(`revisions/${fileId}/${revId}.md`);
+  if (!object) return null;
+  return { revision, content: await object.text() };
+}
+
+async function deleteRevisions(kv, bucket, fileId) {
+  const revisions = await readRevisions(kv, fileId);
+  for (const rev of revisions) {
+    await bucket.delete(`revisions/${fileId}/${rev.id}.md`);
+  }
+  await kv.delete(`revisions:${fileId}`);
+}
+
+// Replace a file's body, keeping the previous body as a revision. Returns
+// { revision, frontMatter, format }, or null if the file doesn't exist in this
+// user's keyspace.
+async function updateFileContent(kv, bucket, fileId, content) {
+  const metaJson = await readLiveMetaJson(kv, fileId);
+  if (!metaJson) return null;
+  const object = await bucket.get(`${fileId}.md`);
+  if (!object) return null;
+  const previous = await object.text();
+  let meta = null;
+  try {
+    meta = JSON.parse(metaJson);
+  } catch { /* leave metadata unchanged on parse error */ }
+  const format = meta?.format || 'markdown';
+  const frontMatter = frontMatterProperties(content, format);
+  if (previous === content) return { revision: null, frontMatter, format };
+
+  const revision = await saveRevision(kv, bucket, fileId, previous);
+  await bucket.put(`${fileId}.md`, content);
+
+  if (meta) {
+    await changeMeta(kv, fileId, (current) => {
+      current.size = content.length;
+      Object.assign(current, readingStats(content, format));
+      current.updatedAt = new Date().toISOString();
+      // Edits update the properties; tags are managed through the tag routes
+      if (frontMatter) current.frontMatter = frontMatter;
+      else delete current.frontMatter;
+    });
+  }
+  await updateSearchIndex(kv, fileId, { content });
+  await updateLinkIndex(kv, fileId, { content, format });
+  return { revision, frontMatter, format };
+}
+
+// ── Share link helpers ──────────────────────────────────────────────────────
+// Shares live unscoped in KV as `share:{token}` → { fileId, userId, created,
+// expiresAt } so the public route can resolve a token without a session. Each
+// also has a pointer in its owner's keyspace, `share:{token}` with the same
+// fields in its KV metadata, so listing a user's shares reads only their keys.
+
+const SHARE_TOKEN_RE = /^[0-9a-f]{32}$/;
+
+function generateShareToken() {
+  return toHex(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+function isShareExpired(share) {
+  return !!share.expiresAt && new Date(share.expiresAt).getTime() <= Date.now();
+}
+
+async function readShare(kv, token) {
+  if (!SHARE_TOKEN_RE.test(token)) return null;
+  const data = await kv.get(`share:${token}`);
+  if (!data) return null;
+  try {
+    const share = JSON.parse(data);
+    return isShareExpired(share) ? null : share;
+  } catch {
+    return null;
+  }
+}
+
+function shareExpiration(share) {
+  return share.expiresAt ? { expiration: Math.floor(new Date(share.expiresAt).getTime() / 1000) } : {};
+}
+
+async function writeSharePointer(kv, token, share) {
+  const { fileId, created, expiresAt } = share;
+  await scopedKV(kv, share.userId).put(`share:${token}`, '', { ...shareExpiration(share), metadata: { fileId, created, expiresAt } });
+}
+
+// Writes the share and its owner's pointer; both expire with the share
+async function writeShare(kv, token, share) {
+  await kv.put(`share:${token}`, JSON.stringify(share), shareExpiration(share));
+  await writeSharePointer(kv, token, share);
+}
+
+async function deleteShare(kv, userId, token) {
+  await kv.delete(`share:${token}`);
+  await scopedKV(kv, userId).delete(`share:${token}`);
+}
+
+async function listShares(kv, userId) {
+  const userKv = scopedKV(kv, userId);
+  const shares = [];
+  let cursor;
+  while (true) {
+    const list = await userKv.list({ prefix: 'share:', cursor });
+    for (const key of list.keys) {
+      if (!key.metadata) continue;
+      const { fileId, created, expiresAt } = key.metadata;
+      const share = { token: key.name.slice(6), fileId, userId, created, expiresAt };
+      if (!isShareExpired(share)) shares.push(share);
+    }
+    if (list.list_complete) break;
+    cursor = list.cursor;
+  }
+  return shares;
+}
+
+async function deleteSharesForFiles(kv, userId, fileIds) {
+  const ids = new Set(fileIds);
+  if (ids.size === 0) return;
+  const shares = await listShares(kv, userId);
+  for (const share of shares) {
+    if (ids.has(share.fileId)) await deleteShare(kv, userId, share.token);
+  }
+}
+
+// ── Search index helpers ────────────────────────────────────────────────────
+// The `search-index` KV key maps file IDs to { title, tokens }. Until the first
+// search builds it, updates are skipped — the rebuild reads everything from R2.
+
+async function readSearchIndex(kv) {
+  const data = await kv.get('search-index');
+  if (!data) return null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+async function writeSearchIndex(kv, index) {
+  await kv.put('search-index', JSON.stringify(index));
+}
+
+async function rebuildSearchIndex(kv, bucket) {
+  const allMeta = await listAllMeta(kv);
+  const index = {};
+  for (const [id, meta] of allMeta) {
+    const object = await bucket.get(`${id}.md`);
+    if (!object) continue;
+    index[id] = { title: meta.filename || '', tokens: indexTokens(await object.text()) };
+  }
+  // Built outside the lease, which is too short for reading every body
+  await withLock(kv, 'search-index', () => writeSearchIndex(kv, index));
+  return index;
+}
+
+// fn(index) changes the index in place, under the search-index lease (see
+// withLock())
+async function changeSearchIndex(kv, fn) {
+  await withLock(kv, 'search-index', async () => {
+    const index = await readSearchIndex(kv);
+    if (!index) return;
+    fn(index);
+    await writeSearchIndex(kv, index);
+  });
+}
+
+// fields: { title?, content? } — omitted fields keep their indexed value.
+async function updateSearchIndex(kv, id, fields) {
+  const tokens = fields.content !== undefined ? indexTokens(fields.content) : undefined;
+  await changeSearchIndex(kv, (index) => {
+    const entry = index[id] || { title: '', tokens: [] };
+    if (fields.title !== undefined) entry.title = fields.title;
+    if (tokens) entry.tokens = tokens;
+    index[id] = entry;
+  });
+}
+
+async function addToSearchIndex(kv, files) {
+  const entries = files.map((file) => [file.id, { title: file.title, tokens: indexTokens(file.content) }]);
+  await changeSearchIndex(kv, (index) => {
+    for (const [id, entry] of entries) index[id] = entry;
+  });
+}
+
+async function removeFromSearchIndex(kv, ids) {
+  if (ids.length === 0) return;
+  await changeSearchIndex(kv, (index) => {
+    for (const id of ids) delete index[id];
+  });
+}
+
+// ── Link index helpers ──────────────────────────────────────────────────────
+// The `links` KV key maps file IDs to { title, targets }: the filename and the
+// normalized [[link]] targets in the body. Targets are resolved when read, so a
+// rename re-points links without touching the files that contain them. Like
+// the search index it's built on first use and updates are skipped until then.
+
+async function readLinkIndex(kv) {
+  const data = await kv.get('links');
+  if (!data) return null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+async function writeLinkIndex(kv, index) {
+  await kv.put('links', JSON.stringify(index));
+}
+
+async function rebuildLinkIndex(kv, bucket) {
+  const allMeta = await listAllMeta(kv);
+  const index = {};
+  for (const [id, meta] of allMeta) {
+    const object = await bucket.get(`${id}.md`);
+    if (!object) continue;
+    index[id] = { title: meta.filename || '', targets: extractWikiLinks(await object.text(), meta.format) };
+  }
+  // Built outside the lease, which is too short for reading every body
+  await withLock(kv, 'links', () => writeLinkIndex(kv, index));
+  return index;
+}
+
+// fn(index) changes the index in place, under the links lease (see withLock())
+async function changeLinkIndex(kv, fn) {
+  await withLock(kv, 'links', async () => {
+    const index = await readLinkIndex(kv);
+    if (!index) return;
+    fn(index);
+    await writeLinkIndex(kv, index);
+  });
+}
+
+// fields: { title?, content?, format? } — omitted fields keep their indexed value.
+async function updateLinkIndex(kv, id, fields) {
+  const targets = fields.content !== undefined ? extractWikiLinks(fields.content, fields.format) : undefined;
+  await changeLinkIndex(kv, (index) => {
+    const entry = index[id] || { title: '', targets: [] };
+    if (fields.title !== undefined) entry.title = fields.title;
+    if (targets) entry.targets = targets;
+    index[id] = entry;
+  });
+}
+
+async function addToLinkIndex(kv, files) {
+  const entries = files.map((file) => [file.id, { title: file.title, targets: extractWikiLinks(file.content, file.format) }]);
+  await changeLinkIndex(kv, (index) => {
+    for (const [id, entry] of entries) index[id] = entry;
+  });
+}
+
+async function removeFromLinkIndex(kv, ids) {
+  if (ids.length === 0) return;
+  await changeLinkIndex(kv, (index) => {
+    for (const id of ids) delete index[id];
+  });
+}
+
+// Maps each target that names a live file to { id, filename }. When several
+// files share a title, the earliest indexed one wins.
+async function resolveWikiLinks(kv, index, targets) {
+  const byTitle = new Map();
+  for (const [id, entry] of Object.entries(index)) {
+    for (const key of linkTitleKeys(entry.title)) {
+      if (!byTitle.has(key)) byTitle.set(key, []);
+      byTitle.get(key).push(id);
+    }
+  }
+
+  const liveMeta = new Map();
+  const resolved = {};
+  for (const target of targets) {
+    const candidates = FILE_ID_RE.test(target) ? [target] : byTitle.get(target) || [];
+    for (const id of candidates) {
+      if (!liveMeta.has(id)) {
+        let meta = null;
+        try {
+          meta = JSON.parse(await readLiveMetaJson(kv, id));
+        } catch { /* treat as missing */ }
+        liveMeta.set(id, meta);
+      }
+      const meta = liveMeta.get(id);
+      if (meta) {
+        resolved[target] = { id, filename: meta.filename || `${id}.md` };
+        break;
+      }
+    }
+  }
+  return resolved;
+}
+
+// Resolved [[links]] for a body about to be shown
+async function fileWikiLinks(kv, bucket, content, format) {
+  const targets = extractWikiLinks(content, format);
+  if (targets.length === 0) return {};
+  const index = (await readLinkIndex(kv)) || (await rebuildLinkIndex(kv, bucket));
+  return resolveWikiLinks(kv, index, targets);
+}
+
+// ── Live update helpers ─────────────────────────────────────────────────────
+// Changes are pushed to the user's open tabs through their LibraryEvents
+// object (see events.js). Event types follow the log event names loosely:
+// file.upload, file.rename, file.move, file.delete, folder.create, etc.
+// Without the LIBRARY_EVENTS binding nothing is sent and tabs keep polling.
+
+function libraryCoordinator(env, userId) {
+  const ns = env.LIBRARY_EVENTS;
+  return ns && userId ? ns.get(ns.idFromName(userId)) : null;
+}
+
+// Leases on the unscoped account list (`users`) are held on a LibraryEvents
+// object of their own; user IDs all start with "u-", so the name is free.
+function accountsLock(env) {
+  const ns = env.LIBRARY_EVENTS;
+  return { coordinator: ns ? ns.get(ns.idFromName('accounts')) : null };
+}
+
+async function broadcastToUser(env, userId, event) {
+  const coordinator = libraryCoordinator(env, userId);
+  if (!coordinator) return;
+  await coordinator.broadcast({ ...event, at: new Date().toISOString() });
+}
+
+// Best effort: sent after the response, and a failure only gets logged. The
+// tab that made the change passes X-Client-Id so it isn't told about it.
+// Waits for the metadata index so tabs that refresh see the change.
+function notifyLibrary(c, type, detail = {}) {
+  const event = { type, ...detail, clientId: c.req.header('X-Client-Id') || null };
+  c.executionCtx.waitUntil(
+    c.get('indexFlushed')
+      .then(() => broadcastToUser(c.env, c.get('user').id, event))
+      .catch((err) => {
+        c.get('logger').warn('events.error', { type, error: err.message });
+      }),
+  );
+}
+
+// ── Snapshot helpers ────────────────────────────────────────────────────────
+// A snapshot is a zip in R2 at `snapshots/{userId}/{snapshotId}.zip` holding
+// `snapshot.json` (format version, meta records, folders, history) and every
+// body as `files/{uuid}.md`. Revisions and share links are not included.
+
+const SNAPSHOT_VERSION = 1;
+const MAX_SNAPSHOTS = 14;
+const RESTORE_MODES = ['skip', 'overwrite', 'duplicate'];
+const SNAPSHOT_ID_RE = /^s-\d{8}T\d{6}Z-[0-9a-f]{4}$/;
+const FILE_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const FOLDER_ID_RE = /^f-[0-9a-f]{8}$/;
+
+function generateSnapshotId() {
+  // Timestamp first so R2 lists snapshots oldest to newest
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  return `s-${stamp}-${crypto.randomUUID().slice(0, 4)}`;
+}
+
+function snapshotKey(userId, snapshotId) {
+  return `snapshots/${userId}/${snapshotId}.zip`;
+}
+
+// Snapshots are streamed into an R2 multipart upload, so only one part is held
+// in memory. R2 wants every part but the last the same size, and at least
+// 5 MiB.
+const SNAPSHOT_PART_SIZE = 5 * 1024 * 1024;
+
+// { write(bytes), finish() } for ZipWriter; finish() completes the upload and
+// returns the total size
+function multipartWriter(upload) {
+  const parts = [];
+  const buffer = new Uint8Array(SNAPSHOT_PART_SIZE);
+  let filled = 0;
+  let size = 0;
+  const flush = async () => {
+    parts.push(await upload.uploadPart(parts.length + 1, buffer.slice(0, filled)));
+    filled = 0;
+  };
+  return {
+    async write(bytes) {
+      size += bytes.byteLength;
+      let offset = 0;
+      while (offset < bytes.byteLength) {
+        const n = Math.min(SNAPSHOT_PART_SIZE - filled, bytes.byteLength - offset);
+        buffer.set(bytes.subarray(offset, offset + n), filled);
+        filled += n;
+        offset += n;
+        if (filled === SNAPSHOT_PART_SIZE) await flush();
+      }
+    },
+    async finish() {
+      if (filled > 0 || parts.length === 0) await flush();
+      await upload.complete(parts);
+      return size;
+    },
+  };
+}
+
+async function createSnapshot(env, kv, userId, source) {
+  const id = generateSnapshotId();
+  const created = new Date().toISOString();
+  const live = [...await listAllMeta(kv)].filter(([, meta]) => !meta.deletedAt);
+  // Custom metadata is fixed when the upload starts, so `files` counts the
+  // live files then; a file whose body is missing from R2 is still left out
+  const upload = await env.MD_FILES.createMultipartUpload(snapshotKey(userId, id), {
+    httpMetadata: { contentType: 'application/zip' },
+    customMetadata: { created, source, files: String(live.length) },
+  });
+  const writer = multipartWriter(upload);
+  const files = {};
+  let size;
+  try {
+    const zip = new ZipWriter((bytes) => writer.write(bytes));
+    for (const [fileId, meta] of live) {
+      const object = await env.MD_FILES.get(`${fileId}.md`);
+      if (!object) continue;
+      const modified = new Date(meta.updatedAt || meta.created || Date.now());
+      await zip.add(`files/${fileId}.md`, new Uint8Array(await object.arrayBuffer()), modified);
+      files[fileId] = meta;
+    }
+
+    await zip.add('snapshot.json', JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      created,
+      files,
+      folders: await readFolders(kv),
+      history: await readHistory(kv),
+    }));
+    await zip.close();
+    size = await writer.finish();
+  } catch (err) {
+    await upload.abort().catch(() => {});
+    throw err;
+  }
+
+  for (const old of (await listSnapshots(env.MD_FILES, userId)).slice(MAX_SNAPSHOTS)) {
+    await env.MD_FILES.delete(snapshotKey(userId, old.id));
+  }
+  return { id, created, source, files: Object.keys(files).length, size };
+}
+
+// Newest first
+async function listSnapshots(bucket, userId) {
+  const snapshots = [];
+  let cursor;
+  do {
+    const list = await bucket.list({ prefix: `snapshots/${userId}/`, cursor, include: ['customMetadata'] });
+    for (const object of list.objects) {
+      const meta = object.customMetadata || {};
+      snapshots.push({
+        id: object.key.split('/').pop().replace(/\.zip$/, ''),
+        created: meta.created || object.uploaded.toISOString(),
+        source: meta.source || 'manual',
+        files: Number(meta.files) || 0,
+        size: object.size,
+      });
+    }
+    cursor = list.truncated ? list.cursor : undefined;
+  } while (cursor);
+  return snapshots.reverse();
+}
+
+// Throws ZipError if the archive isn't a snapshot this version can restore
+async function readSnapshot(bytes) {
+  const entries = new Map(readZip(bytes).map((e) => [e.path, e]));
+  const manifestEntry = entries.get('snapshot.json');
+  if (!manifestEntry) throw new ZipError('Not a snapshot: snapshot.json is missing');
+
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(await manifestEntry.read()));
+  } catch {
+    throw new ZipError('snapshot.json is not valid JSON');
+  }
+  if (manifest.version !== SNAPSHOT_VERSION) {
+    throw new ZipError(`Unsupported snapshot version: ${manifest.version}`);
+  }
+  return {
+    manifest,
+    bodyOf: (id) => entries.get(`files/${id}.md`) || null,
+  };
+}
+
+// Works out what a restore would do without writing anything, so dry runs
+// and real restores share one code path. A file or folder conflicts when its
+// ID already exists here; folders also conflict on a case-insensitive name.
+async function planRestore(env, kv, snapshot, mode) {
+  const { manifest, bodyOf } = snapshot;
+  const existingMeta = await listAllMeta(kv);
+  const existingFolders = await readFolders(kv);
+  // Trashed folders keep their IDs in case they are restored from the trash
+  const trashedFolderIds = new Set((await readTrash(kv)).flatMap((entry) => entry.folders.map((f) => f.id)));
+
+  const folders = [];
+  for (const folder of manifest.folders || []) {
+    const byId = existingFolders.find((f) => f.id === folder.id);
+    const byName = byId ? null : existingFolders.find((f) => f.name.toLowerCase() === String(folder.name).toLowerCase());
+    const match = byId || byName;
+    const plan = { id: folder.id, name: folder.name, conflict: byId ? 'id' : byName ? 'name' : null };
+    if (!match) {
+      plan.action = 'create';
+      plan.targetId = FOLDER_ID_RE.test(folder.id) && !trashedFolderIds.has(folder.id) ? folder.id : generateFolderId();
+    } else if (mode === 'duplicate') {
+      plan.action = 'duplicate';
+      plan.targetId = generateFolderId();
+      plan.name = `${folder.name} (restored)`;
+    } else {
+      plan.action = mode;
+      plan.targetId = match.id;
+    }
+    folders.push(plan);
+  }
+
+  const files = [];
+  for (const [id, meta] of Object.entries(manifest.files || {})) {
+    // A trashed copy doesn't conflict; restoring the file takes it out of the trash
+    const trashed = existingMeta.get(id)?.deletedAt;
+    const plan = { id, filename: meta.filename, conflict: existingMeta.has(id) && !trashed };
+    if (!bodyOf(id)) {
+      plan.action = 'error';
+      plan.error = 'Body is missing from the snapshot';
+    } else if (plan.conflict) {
+      plan.action = mode;
+      if (mode === 'overwrite') plan.targetId = id;
+      if (mode === 'duplicate') plan.targetId = crypto.randomUUID();
+    } else if (!FILE_ID_RE.test(id) || (!trashed && await env.MD_FILES.head(`${id}.md`))) {
+      // The ID belongs to another account's file; never write over it
+      plan.action = 'duplicate';
+      plan.targetId = crypto.randomUUID();
+    } else {
+      plan.action = 'create';
+      plan.targetId = id;
+    }
+    files.push(plan);
+  }
+
+  return { folders, files };
+}
+
+async function applyRestore(env, kv, snapshot, plan) {
+  const { manifest, bodyOf } = snapshot;
+  const snapshotFolders = new Map((manifest.folders || []).map((f) => [f.id, f]));
+  const folderTarget = new Map(plan.folders.map((fp) => [fp.id, fp.targetId]));
+
+  const snapshotFolderOf = new Map();
+  for (const folder of manifest.folders || []) {
+    for (const fid of folder.fileIds || []) snapshotFolderOf.set(fid, folder.id);
+  }
+
+  const restored = [];
+  for (const fp of plan.files) {
+    if (fp.action !== 'create' && fp.action !== 'overwrite' && fp.action !== 'duplicate') continue;
+    const bytes = await bodyOf(fp.id).read();
+    const targetId = fp.targetId;
+
+    if (fp.action === 'overwrite') {
+      const current = await env.MD_FILES.get(`${targetId}.md`);
+      if (current) await saveRevision(kv, env.MD_FILES, targetId, await current.text());
+    }
+
+    const meta = { ...manifest.files[fp.id] };
+    delete meta.folderId;
+    const folderId = folderTarget.get(snapshotFolderOf.get(fp.id));
+    if (folderId) meta.folderId = folderId;
+
+    await env.MD_FILES.put(`${targetId}.md`, bytes);
+    // Replaces the metadata whole, but an overwrite still waits for changes
+    // to the existing file (see changeMeta())
+    await withLock(kv, `meta:${targetId}`, () => writeMeta(kv, targetId, meta));
+    restored.push({
+      sourceId: fp.id,
+      id: targetId,
+      title: meta.filename,
+      format: meta.format,
+      content: new TextDecoder().decode(bytes),
+      folderId: folderId || null,
+      overwrite: fp.action === 'overwrite',
+    });
+  }
+
+  // Folders change in one locked write once the files are in place
+  await updateFolders(kv, (folders) => {
+    for (const fp of plan.folders) {
+      const source = snapshotFolders.get(fp.id);
+      if (fp.action === 'create' || fp.action === 'duplicate') {
+        const folder = { id: fp.targetId, name: fp.name, parentId: null, fileIds: [], created: source.created || new Date().toISOString() };
+        if (source.retention) folder.retention = source.retention;
+        folders.push(folder);
+      } else if (fp.action === 'overwrite') {
+        const existing = folders.find((f) => f.id === fp.targetId);
+        if (!existing) continue;
+        existing.name = source.name;
+        existing.created = source.created || existing.created;
+      }
+    }
+
+    // Nest new folders under wherever their snapshot parent ended up
+    for (const fp of plan.folders) {
+      if (fp.action !== 'create' && fp.action !== 'duplicate') continue;
+      const parentId = folderTarget.get(snapshotFolders.get(fp.id).parentId) || null;
+      folders.find((f) => f.id === fp.targetId).parentId = parentId;
+    }
+
+    for (const r of restored) {
+      if (r.overwrite) {
+        for (const f of folders) f.fileIds = f.fileIds.filter((fid) => fid !== r.id);
+      }
+      const folder = r.folderId && folders.find((f) => f.id === r.folderId);
+      if (folder) folder.fileIds.push(r.id);
+    }
+  });
+
+  await removeFromTrashedFolders(kv, restored.map((r) => r.id));
+
+  // Snapshot history entries for restored files keep their original viewedAt
+  const idMap = new Map(restored.map((r) => [r.sourceId, r.id]));
+  const fromSnapshot = (manifest.history || [])
+    .filter((h) => idMap.has(h.id))
+    .map((h) => ({ ...h, id: idMap.get(h.id) }));
+  const replaced = new Set(fromSnapshot.map((h) => h.id));
+  await updateHistory(kv, (history) => [...fromSnapshot, ...history.filter((h) => !replaced.has(h.id))]
+    .sort((a, b) => (b.viewedAt || '').localeCompare(a.viewedAt || '')), { limit: historyLimit(env) });
+
+  await addToSearchIndex(kv, restored);
+  await addToLinkIndex(kv, restored);
+}
+
+// Users snapshotted per cron run. Past that, runs take turns: each starts
+// after the user the last one stopped at (the unscoped `snapshot-cursor` key),
+// so with more users each gets a snapshot every few days.
+const SNAPSHOT_USERS_PER_RUN = 25;
+
+async function runScheduledSnapshots(env, log) {
+  const users = await readUsers(env.HISTORY);
+  const cursor = await env.HISTORY.get('snapshot-cursor');
+  const last = users.findIndex((u) => u.id === cursor);
+  const start = last + 1 < users.length ? last + 1 : 0;
+  const batch = users.slice(start, start + SNAPSHOT_USERS_PER_RUN);
+  for (const user of batch) {
+    try {
+      const snapshot = await createSnapshot(env, scopedKV(env.HISTORY, user.id), user.id, 'scheduled');
+      log.info('snapshot.create', { userId: user.id, snapshotId: snapshot.id, files: snapshot.files, source: 'scheduled' });
+    } catch (err) {
+      log.error('snapshot.error', { userId: user.id, error: err.message });
+    }
+  }
+  if (batch.length > 0) await env.HISTORY.put('snapshot-cursor', batch[batch.length - 1].id);
+}
+
+// ── Retention cron handler ──────────────────────────────────────────────────
+// Runs daily at 03:00 UTC. By default files are archived after 30 days without
+// a view and deleted after 60 (RETENTION_ARCHIVE_DAYS / RETENTION_DELETE_DAYS).
+// Files in folders are kept unless the folder or an ancestor sets its own
+// `retention`, and pinned files are always kept.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ARCHIVE_DAYS = 30;
+const DEFAULT_DELETE_DAYS = 60;
+const KEEP_POLICY = { archiveDays: null, deleteDays: null };
+
+// "never" or 0 turns a step off; blank or invalid falls back to the default
+function parseRetentionDays(value, fallback) {
+  const v = String(value ?? '').trim().toLowerCase();
+  if (v === '') return fallback;
+  if (v === 'never' || v === '0') return null;
+  const days = Number(v);
+  return Number.isFinite(days) && days > 0 ? days : fallback;
+}
+
+function retentionDefaults(env) {
+  return {
+    archiveDays: parseRetentionDays(env.RETENTION_ARCHIVE_DAYS, DEFAULT_ARCHIVE_DAYS),
+    deleteDays: parseRetentionDays(env.RETENTION_DELETE_DAYS, DEFAULT_DELETE_DAYS),
+  };
+}
+
+// The policy that applies to a file: { archiveDays, deleteDays, source } where
+// null days mean never and source says where the policy came from
+function resolveRetention(meta, folders, defaults) {
+  if (meta.pinned) return { ...KEEP_POLICY, source: 'pinned' };
+  const folder = meta.folderId && folders.find((f) => f.id === meta.folderId);
+  if (!folder) return { ...defaults, source: 'default' };
+
+  const seen = new Set();
+  for (let f = folder; f && !seen.has(f.id); f = folders.find((p) => p.id === parentOf(folders, f))) {
+    seen.add(f.id);
+    if (f.retention) {
+      return { archiveDays: f.retention.archiveDays, deleteDays: f.retention.deleteDays, source: `folder:${f.id}` };
+    }
+  }
+  return { ...KEEP_POLICY, source: `folder:${folder.id}` };
+}
+
+// When retention will delete a file under `policy`, as an ISO string
+function retentionDeletesAt(meta, policy) {
+  const ref = meta.lastAccessedAt || meta.created;
+  if (!ref || policy.deleteDays === null) return null;
+  return new Date(new Date(ref).getTime() + policy.deleteDays * DAY_MS).toISOString();
+}
+
+// What a retention run would do to one user's files. Nothing is written, so
+// the preview route and the cron share it.
+async function planRetention(env, kv) {
+  const now = Date.now();
+  const defaults = retentionDefaults(env);
+  const allMeta = await listAllMeta(kv);
+  const folders = await readFolders(kv);
+  const folderIds = new Set(folders.map((f) => f.id));
+  const plan = { defaults, folders, archive: [], delete: [], staleFolderRefs: [] };
+
+  for (const [id, meta] of allMeta) {
+    // The trash has its own clock (see purgeTrashFor)
+    if (meta.deletedAt) continue;
+    if (meta.folderId && !folderIds.has(meta.folderId)) {
+      delete meta.folderId;
+      plan.staleFolderRefs.push({ id, meta });
+    }
+
+    const policy = resolveRetention(meta, folders, defaults);
+    const action = retentionAction(meta, policy, now);
+    if (action) plan[action].push({ id, meta, policy });
+  }
+  return plan;
+}
+
+// 'delete', 'archive' or null for a file under `policy` at time `now`
+function retentionAction(meta, policy, now) {
+  const ref = meta.lastAccessedAt || meta.created;
+  if (!ref) return null;
+  const age = now - new Date(ref).getTime();
+  if (policy.deleteDays !== null && age >= policy.deleteDays * DAY_MS) return 'delete';
+  if (policy.archiveDays !== null && age >= policy.archiveDays * DAY_MS && !meta.archivedAt) return 'archive';
+  return null;
+}
+
+async function runRetention(env, log) {
+  const users = await readUsers(env.HISTORY);
+  // Until the first login creates an account, data is still unscoped
+  if (users.length === 0) {
+    await runRetentionFor(env, env.HISTORY, null, log);
+    await purgeTrashFor(env, env.HISTORY, null, log);
+    return;
+  }
+  // Files are archived one at a time under their own leases; deferring the
+  // index changes keeps that to one index write per library
+  for (const user of users) {
+    const kv = deferMetaIndex(scopedKV(env.HISTORY, user.id, libraryCoordinator(env, user.id)));
+    await runRetentionFor(env, kv, user.id, log);
+    await purgeTrashFor(env, kv, user.id, log);
+    await flushMetaIndex(kv);
+  }
+}
+
+async function runRetentionFor(env, kv, userId, log) {
+  // Plans come from the metadata index, so repair it first
+  await reconcileMetaIndex(kv);
+  const plan = await planRetention(env, kv);
+  const folderIds = new Set(plan.folders.map((f) => f.id));
+  const now = Date.now();
+  const archivedAt = new Date(now).toISOString();
+
+  // The index copy can be behind a pin, view or move made since, so each
+  // planned file is read again and decided on its current metadata
+  const planned = new Set([...plan.staleFolderRefs, ...plan.archive, ...plan.delete].map((p) => p.id));
+  const deletedIds = [];
+  let archived = 0;
+  for (const id of planned) {
+    await changeMeta(kv, id, (meta) => {
+      if (meta.deletedAt) return false;
+      // Clear stale folder references
+      let changed = false;
+      if (meta.folderId && !folderIds.has(meta.folderId)) {
+        delete meta.folderId;
+        changed = true;
+      }
+      const action = retentionAction(meta, resolveRetention(meta, plan.folders, plan.defaults), now);
+      if (action === 'delete') {
+        deletedIds.push(id);
+        return false;
+      }
+      if (action === 'archive') {
+        meta.archivedAt = archivedAt;
+        archived++;
+        changed = true;
+      }
+      return changed;
+    });
+  }
+
+  // Retention deletes skip the trash: archiving was the grace period
+  await purgeFiles(env, kv, userId, deletedIds);
+
+  log.info('retention.run', { userId, archived, deleted: deletedIds.length });
+  if (archived > 0 || deletedIds.length > 0) {
+    await broadcastToUser(env, userId, { type: 'library.retention' });
+  }
+}
+
+// ── Logging middleware ───────────────────────────────────────────────────
+
+app.use('/api/*', async (c, next) => {
+  const log = createLogger(c.env.LOG_LEVEL);
+  c.set('logger', log);
+  const start = Date.now();
+  await next();
+  const duration = Date.now() - start;
+  const status = c.res.status;
+  const method = c.req.method;
+  const path = new URL(c.req.url).pathname;
+  const lvl = status === 401 ? 'warn' : 'info';
+  log[lvl]('request', { method, path, status, duration });
+});
+
+// ── Error handling ──────────────────────────────────────────────────────────
+
+app.onError((err, c) => {
+  if (err instanceof ConflictError) {
+    return c.json({ error: err.message }, 409);
+  }
+  if (err instanceof HTTPException) return err.getResponse();
+  const log = c.get('logger') || createLogger(c.env.LOG_LEVEL);
+  log.error('request.error', { error: err.message });
+  return c.text('Internal Server Error', 500);
+});
+
+// ── Auth middleware ──────────────────────────────────────────────────────────
+// Resolves the session cookie (or a bearer API token) to an active user and
+// exposes their scoped KV as c.get('kv'). Shared, user-independent keys (users, share:*) stay on
+// c.env.HISTORY.
+
+async function findActiveUser(kv, userId) {
+  const users = await readUsers(kv);
+  const user = users.find((u) => u.id === userId);
+  return user && !user.disabled ? user : null;
+}
+
+async function resolveSessionUser(c) {
+  const userId = await verifySignedCookie(getCookie(c, 'auth'), c.env.COOKIE_SECRET);
+  if (!userId) return null;
+  return findActiveUser(c.env.HISTORY, userId);
+}
+
+// Resolves `Authorization: Bearer <token>` to { user, token }, bumping the
+// token's lastUsedAt at most once a minute to keep KV writes down.
+async function resolveApiToken(c, secret) {
+  const key = `token:${await sha256Hex(secret)}`;
+  const data = await c.env.HISTORY.get(key);
+  if (!data) return null;
+  let token;
+  try {
+    token = JSON.parse(data);
+  } catch {
+    return null;
+  }
+  const user = await findActiveUser(c.env.HISTORY, token.userId);
+  if (!user) return null;
+
+  const now = Date.now();
+  if (!token.lastUsedAt || now - new Date(token.lastUsedAt).getTime() > TOKEN_TOUCH_INTERVAL_MS) {
+    token.lastUsedAt = new Date(now).toISOString();
+    await c.env.HISTORY.put(key, JSON.stringify(token));
+  }
+  return { user, token };
+}
+
+app.use('/api/*', async (c, next) => {
+  const path = new URL(c.req.url).pathname;
+  if (path === '/api/auth/login' || path === '/api/auth/check' || path.startsWith('/api/shared/')) {
+    return next();
+  }
+  const log = c.get('logger');
+  const authHeader = c.req.header('Authorization') || '';
+  let user;
+  if (authHeader.startsWith('Bearer ')) {
+    const resolved = await resolveApiToken(c, authHeader.slice(7).trim());
+    if (resolved && !tokenAllows(resolved.token.scope, c.req.method, path)) {
+      log.warn('auth.forbidden', { userId: resolved.user.id, tokenId: resolved.token.id, path });
+      return c.json({ error: 'Token scope does not allow this request' }, 403);
+    }
+    user = resolved?.user;
+    if (resolved) c.set('apiToken', resolved.token);
+  } else {
+    user = await resolveSessionUser(c);
+  }
+  if (!user) {
+    log.warn('auth.unauthorized', { path });
+    return c.json({ error: 'Unauthorized' }, 401);
+  }
+  c.set('user', user);
+  const kv = deferMetaIndex(scopedKV(c.env.HISTORY, user.id, libraryCoordinator(c.env, user.id)));
+  c.set('kv', kv);
+  let indexFlushed;
+  c.set('indexFlushed', new Promise((resolve) => { indexFlushed = resolve; }));
+  await next();
+  // The request's metadata index changes, in one write. A failure leaves the
+  // index behind until the cron reconciles it, so the response stands.
+  try {
+    await flushMetaIndex(kv);
+  } catch (err) {
+    log.warn('metaIndex.error', { userId: user.id, error: err.message });
+  } finally {
+    indexFlushed();
+  }
+});
+
+app.use('/api/admin/*', async (c, next) => {
+  if (c.get('user').role !== 'admin') {
+    const log = c.get('logger');
+    log.warn('auth.forbidden', { userId: c.get('user').id });
+    return c.json({ error: 'Forbidden' }, 403);
+  }
+  return next();
+});
+
+// ── Auth routes ─────────────────────────────────────────────────────────────
+
+// Before any account exists, logging in with ACCESS_PASSWORD creates the first
+// admin under the given username and hands them the pre-accounts library.
+// Null if the password is wrong or another login created an account first.
+async function bootstrapAdmin(c, username, password) {
+  if (!c.env.ACCESS_PASSWORD || password !== c.env.ACCESS_PASSWORD) return null;
+  const passwordHash = await hashPassword(password);
+  const user = await withLock(accountsLock(c.env), 'users', async () => {
+    if ((await readUsers(c.env.HISTORY)).length > 0) return null;
+    const created = {
+      id: generateUserId(),
+      username,
+      role: 'admin',
+      disabled: false,
+      passwordHash,
+      created: new Date().toISOString(),
+    };
+    // Recorded first, so a migration cut short by request limits is resumed
+    // for this account (see resumeLegacyMigration())
+    await writeMigration(c.env.HISTORY, { userId: created.id });
+    await writeUsers(c.env.HISTORY, [created]);
+    return created;
+  });
+  if (!user) return null;
+  const log = c.get('logger');
+  let migration = { moved: 0, done: false };
+  try {
+    migration = await migrateLegacyData(c.env.HISTORY, user.id);
+  } catch (err) {
+    log.error('migration.error', { error: err.message });
+  }
+  log.info('auth.bootstrap', { userId: user.id, migratedKeys: migration.moved, migrationDone: migration.done });
+  return user;
+}
+
+app.post('/api/auth/login', async (c) => {
+  const { username, password } = await c.req.json();
+  const log = c.get('logger');
+  if (!username || !username.trim() || !password) {
+    log.warn('auth.failure', { reason: 'missing_credentials' });
+    return c.json({ error: 'Invalid username or password' }, 401);
+  }
+
+  let users = await readUsers(c.env.HISTORY);
+  let user;
+  if (users.length === 0) {
+    user = await bootstrapAdmin(c, username.trim(), password);
+    // Another login may have created the first account in the meantime
+    if (!user) users = await readUsers(c.env.HISTORY);
+  }
+  if (!user && users.length > 0) {
+    const found = findUserByName(users, username.trim());
+    if (found && !found.disabled && (await verifyPassword(password, found.passwordHash))) {
+      user = found;
+    }
+    if (user?.role === 'admin') {
+      await resumeLegacyMigration(c.env, log).catch((err) => {
+        log.error('migration.error', { error: err.message });
+      });
+    }
+  }
+
+  if (!user) {
+    log.warn('auth.failure', { reason: 'invalid_credentials' });
+    return c.json({ error: 'Invalid username or password' }, 401);
+  }
+
+  const sig = await signValue(user.id, c.env.COOKIE_SECRET);
+  const signed = `${user.id}.${sig}`;
+  setCookie(c, 'auth', signed, {
+    httpOnly: true,
+    sameSite: 'Lax',
+    path: '/',
+    maxAge: 60 * 60 * 24 * 30,
+  });
+  log.info('auth.login', { userId: user.id });
+  return c.json({ success: true, user: publicUser(user) });
+});
+
+app.post('/api/auth/logout', (c) => {
+  deleteCookie(c, 'auth', { path: '/' });
+  const log = c.get('logger');
+  log.info('auth.logout', { userId: c.get('user').id });
+  return c.json({ success: true });
+});
+
+app.get('/api/auth/check', async (c) => {
+  const user = await resolveSessionUser(c);
+  return c.json({ authenticated: !!user, user: user ? publicUser(user) : null });
+});
+
+// ── API token routes ────────────────────────────────────────────────────────
+
+app.get('/api/tokens', async (c) => {
+  const tokens = await listApiTokens(c.env.HISTORY, c.get('user').id);
+  tokens.sort((a, b) => (a.created < b.created ? 1 : -1));
+  return c.json(tokens.map(publicApiToken));
+});
+
+app.post('/api/tokens', async (c) => {
+  const { name, scope } = await c.req.json();
+  if (!name || !name.trim()) {
+    return c.json({ error: 'Token name is required' }, 400);
+  }
+  if (scope !== undefined && !TOKEN_SCOPES.includes(scope)) {
+    return c.json({ error: `Scope must be one of: ${TOKEN_SCOPES.join(', ')}` }, 400);
+  }
+
+  const secret = generateTokenSecret();
+  const token = {
+    id: generateTokenId(),
+    userId: c.get('user').id,
+    name: name.trim(),
+    scope: scope || 'full',
+    created: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  const hash = await sha256Hex(secret);
+  await c.env.HISTORY.put(`token:${hash}`, JSON.stringify(token));
+  await writeTokenPointer(c.env.HISTORY, hash, token);
+
+  const log = c.get('logger');
+  log.info('token.create', { tokenId: token.id, scope: token.scope });
+
+  // The secret is only ever returned here
+  return c.json({ ...publicApiToken(token), token: secret }, 201);
+});
+
+app.delete('/api/tokens/:id', async (c) => {
+  const id = c.req.param('id');
+  const tokens = await listApiTokens(c.env.HISTORY, c.get('user').id);
+  const token = tokens.find((t) => t.id === id);
+  if (!token) return c.json({ error: 'Token not found' }, 404);
+
+  await c.env.HISTORY.delete(`token:${token.hash}`);
+  await scopedKV(c.env.HISTORY, token.userId).delete(`token:${token.hash}`);
+
+  const log = c.get('logger');
+  log.info('token.revoke', { tokenId: id });
+
+  return c.json({ success: true });
+});
+
+// ── Admin: user management ──────────────────────────────────────────────────
+
+app.get('/api/admin/users', async (c) => {
+  const users = await readUsers(c.env.HISTORY);
+  return c.json(users.map(publicUser));
+});
+
+app.post('/api/admin/users', async (c) => {
+  const { username, password, role } = await c.req.json();
+  if (!username || !username.trim()) {
+    return c.json({ error: 'Username is required' }, 400);
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return c.json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }, 400);
+  }
+  if (role !== undefined && role !== 'admin' && role !== 'user') {
+    return c.json({ error: 'Role must be "admin" or "user"' }, 400);
+  }
+
+  const passwordHash = await hashPassword(password);
+  const user = await withLock(accountsLock(c.env), 'users', async () => {
+    const users = await readUsers(c.env.HISTORY);
+    if (findUserByName(users, username.trim())) return null;
+    const created = {
+      id: generateUserId(),
+      username: username.trim(),
+      role: role || 'user',
+      disabled: false,
+      passwordHash,
+      created: new Date().toISOString(),
+    };
+    users.push(created);
+    await writeUsers(c.env.HISTORY, users);
+    return created;
+  });
+  if (!user) return c.json({ error: 'Username already exists' }, 409);
+
+  const log = c.get('logger');
+  log.info('user.create', { userId: user.id, role: user.role });
+
+  return c.json(publicUser(user), 201);
+});
+
+app.patch('/api/admin/users/:id', async (c) => {
+  const id = c.req.param('id');
+  const { disabled, password, role } = await c.req.json();
+
+  if (id === c.get('user').id && (disabled === true || (role && role !== 'admin'))) {
+    return c.json({ error: 'You cannot disable or demote yourself' }, 400);
+  }
+  if (role !== undefined && role !== 'admin' && role !== 'user') {
+    return c.json({ error: 'Role must be "admin" or "user"' }, 400);
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return c.json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }, 400);
+  }
+
+  const passwordHash = password !== undefined ? await hashPassword(password) : undefined;
+  const user = await withLock(accountsLock(c.env), 'users', async () => {
+    const users = await readUsers(c.env.HISTORY);
+    const found = users.find((u) => u.id === id);
+    if (!found) return null;
+    if (disabled !== undefined) found.disabled = !!disabled;
+    if (role !== undefined) found.role = role;
+    if (passwordHash !== undefined) found.passwordHash = passwordHash;
+    await writeUsers(c.env.HISTORY, users);
+    return found;
+  });
+  if (!user) return c.json({ error: 'User not found' }, 404);
+
+  const log = c.get('logger');
+  log.info('user.update', { userId: id, disabled: user.disabled, role: user.role, passwordChanged: password !== undefined });
+
+  return c.json(publicUser(user));
+});
+
+// ── File upload ─────────────────────────────────────────────────────────────
+
+// Stores the body and metadata for a new file. Callers add the history and
+// search entries, so batch imports can write those once for all files.
+// Tags and properties are read from the front matter of markdown files.
+async function putNewFile(c, id, { filename, source, format, content, path, folderId, sourceUrl }) {
+  const now = new Date().toISOString();
+  const meta = {
+    filename,
+    source,
+    format,
+    size: content.length,
+    ...readingStats(content, format),
+    created: now,
+    lastAccessedAt: now,
+  };
+  if (path) meta.path = path;
+  if (folderId) meta.folderId = folderId;
+  if (sourceUrl) {
+    meta.sourceUrl = sourceUrl;
+    meta.fetchedAt = now;
+  }
+  const tags = format === 'text' ? [] : frontMatterTags(content);
+  if (tags.length > 0) meta.tags = tags;
+  const frontMatter = frontMatterProperties(content, format);
+  if (frontMatter) meta.frontMatter = frontMatter;
+  await c.env.MD_FILES.put(`${id}.md`, content);
+  await writeMeta(c.get('kv'), id, meta);
+  return meta;
+}
+
+// Accepted extensions come from UPLOAD_EXTENSIONS (comma-separated, `none`
+// allows extensionless names like README).
+
+app.get('/api/upload/types', (c) => {
+  const allowed = parseUploadExtensions(c.env.UPLOAD_EXTENSIONS);
+  return c.json({
+    extensions: [...allowed.extensions].map((e) => `.${e}`),
+    allowNoExtension: allowed.allowNoExtension,
+  });
+});
+
+app.post('/api/upload', async (c) => {
+  const body = await c.req.parseBody();
+  const file = body['file'];
+
+  if (!file || !(file instanceof File)) {
+    return c.json({ error: 'No file provided' }, 400);
+  }
+
+  const originalName = file.name || 'untitled.md';
+  const allowed = parseUploadExtensions(c.env.UPLOAD_EXTENSIONS);
+  const log = c.get('logger');
+  if (!isAllowedUpload(originalName, allowed)) {
+    log.warn('file.rejected', { filename: originalName, reason: 'extension' });
+    return c.json({ error: 'This file type is not accepted' }, 400);
+  }
+
+  const content = decodeText(new Uint8Array(await file.arrayBuffer()));
+  if (content === null) {
+    log.warn('file.rejected', { filename: originalName, reason: 'binary' });
+    return c.json({ error: 'File does not appear to be text' }, 400);
+  }
+
+  const id = crypto.randomUUID();
+  const format = detectFormat(originalName, content);
+  const meta = await putNewFile(c, id, { filename: originalName, source: 'upload', format, content });
+  await addHistoryEntry(c.get('kv'), { id, filename: originalName, source: 'upload' }, historyLimit(c.env));
+  await updateSearchIndex(c.get('kv'), id, { title: originalName, content });
+  await updateLinkIndex(c.get('kv'), id, { title: originalName, content, format });
+
+  log.info('file.upload', { fileId: id, filename: originalName, format, size: content.length });
+  notifyLibrary(c, 'file.upload', { fileIds: [id] });
+
+  return c.json({ id, filename: originalName, format, tags: meta.tags || [] });
+});
+
+// ── Batch upload & zip import ───────────────────────────────────────────────
+// Accepts many `files` parts in one request. Each .zip becomes a folder named
+// after the archive holding its accepted entries, with the entry's path inside
+// the archive kept as `meta.path`. Returns a per-file report.
+
+const MAX_IMPORT_FILES = 200;
+const MAX_ZIP_BYTES = 50 * 1024 * 1024;
+
+function basename(path) {
+  return path.split('/').pop();
+}
+
+// macOS resource forks and dotfiles are never what the user meant to import
+function isJunkZipEntry(path) {
+  return path.startsWith('__MACOSX/') || path.split('/').some((part) => part.startsWith('.'));
+}
+
+app.post('/api/upload/batch', async (c) => {
+  const body = await c.req.parseBody({ all: true });
+  const parts = [].concat(body['files'] || []).filter((f) => f instanceof File);
+  if (parts.length === 0) {
+    return c.json({ error: 'No files provided' }, 400);
+  }
+
+  const kv = c.get('kv');
+  const allowed = parseUploadExtensions(c.env.UPLOAD_EXTENSIONS);
+  const results = [];
+  const stored = [];
+  const newFolders = [];
+
+  async function importOne(name, path, bytes, folder) {
+    if (stored.length >= MAX_IMPORT_FILES) {
+      results.push({ name, path, ok: false, error: `Import limit of ${MAX_IMPORT_FILES} files reached` });
+      return;
+    }
+    if (!isAllowedUpload(name, allowed)) {
+      results.push({ name, path, ok: false, skipped: true, error: 'Not an accepted file type' });
+      return;
+    }
+    const content = decodeText(bytes);
+    if (content === null) {
+      results.push({ name, path, ok: false, error: 'File does not appear to be text' });
+      return;
+    }
+    const id = crypto.randomUUID();
+    const format = detectFormat(name, content);
+    await putNewFile(c, id, { filename: name, source: 'upload', format, content, path, folderId: folder?.id });
+    if (folder) folder.fileIds.push(id);
+    stored.push({ id, filename: name, format, content });
+    results.push({ name, path, ok: true, id, format, folderId: folder?.id || null });
+  }
+
+  for (const part of parts) {
+    const name = part.name || 'untitled';
+    const bytes = new Uint8Array(await part.arrayBuffer());
+    if (extensionOf(name) !== 'zip') {
+      await importOne(name, null, bytes, null);
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = readZip(bytes, { maxEntries: MAX_IMPORT_FILES * 5, maxTotalBytes: MAX_ZIP_BYTES });
+    } catch (err) {
+      if (!(err instanceof ZipError)) throw err;
+      results.push({ name, path: null, ok: false, error: err.message });
+      continue;
+    }
+
+    const folder = {
+      id: generateFolderId(),
+      name: name.replace(/\.zip$/i, '') || 'Imported',
+      parentId: null,
+      fileIds: [],
+      created: new Date().toISOString(),
+    };
+    for (const entry of entries) {
+      if (isJunkZipEntry(entry.path)) continue;
+      let data;
+      try {
+        data = await entry.read();
+      } catch (err) {
+        if (!(err instanceof ZipError)) throw err;
+        results.push({ name: basename(entry.path), path: entry.path, ok: false, error: err.message });
+        continue;
+      }
+      await importOne(basename(entry.path), entry.path, data, folder);
+    }
+    if (folder.fileIds.length > 0) newFolders.push(folder);
+  }
+
+  if (newFolders.length > 0) {
+    await updateFolders(kv, (folders) => {
+      folders.push(...newFolders);
+    });
+  }
+
+  if (stored.length > 0) {
+    const now = new Date().toISOString();
+    const added = new Set(stored.map((f) => f.id));
+    await updateHistory(kv, (history) => [
+      ...stored.map((f) => ({ id: f.id, filename: f.filename, source: 'upload', viewedAt: now })),
+      ...history.filter((h) => !added.has(h.id)),
+    ], { limit: historyLimit(c.env) });
+    await addToSearchIndex(kv, stored.map((f) => ({ id: f.id, title: f.filename, content: f.content })));
+    await addToLinkIndex(kv, stored.map((f) => ({ id: f.id, title: f.filename, format: f.format, content: f.content })));
+  }
+
+  const log = c.get('logger');
+  log.info('file.batchUpload', {
+    files: stored.length,
+    failed: results.filter((r) => !r.ok && !r.skipped).length,
+    folders: newFolders.length,
+  });
+  if (stored.length > 0) notifyLibrary(c, 'file.upload', { fileIds: stored.map((f) => f.id) });
+
+  return c.json({
+    results,
+    folders: newFolders.map((f) => ({ id: f.id, name: f.name, fileCount: f.fileIds.length })),
+  });
+});
+
+// ── Paste upload ────────────────────────────────────────────────────────────
+
+app.post('/api/paste', async (c) => {
+  const { content, title } = await c.req.json();
+  if (!content || typeof content !== 'string') {
+    return c.json({ error: 'No content provided' }, 400);
+  }
+
+  const id = crypto.randomUUID();
+  const fmTitle = parseFrontMatter(content).data?.title;
+  const displayName = title || (typeof fmTitle === 'string' && fmTitle.trim()) || 'Pasted Markdown';
+
+  const meta = await putNewFile(c, id, { filename: displayName, source: 'paste', format: 'markdown', content });
+  await addHistoryEntry(c.get('kv'), { id, filename: displayName, source: 'paste' }, historyLimit(c.env));
+  await updateSearchIndex(c.get('kv'), id, { title: displayName, content });
+  await updateLinkIndex(c.get('kv'), id, { title: displayName, content, format: 'markdown' });
+
+  const log = c.get('logger');
+  log.info('file.paste', { fileId: id, filename: displayName, size: content.length });
+  notifyLibrary(c, 'file.upload', { fileIds: [id] });
+
+  return c.json({ id, filename: displayName, tags: meta.tags || [] });
+});
+
+// ── URL import ──────────────────────────────────────────────────────────────
+// Fetches raw markdown from a URL and stores it like a paste, with `source:
+// 'url'` and the address in `sourceUrl`. Refreshing fetches it again; the
+// metadata keeps when that last happened (`fetchedAt`) and whether the body
+// changed (`fetchChanged`).
+
+const MAX_URL_IMPORT_BYTES = 5 * 1024 * 1024;
+const URL_IMPORT_TIMEOUT_MS = 10000;
+// Raw file hosts often serve markdown as text/plain or octet-stream; HTML
+// pages are turned away since they'd render as a wall of tags
+const URL_IMPORT_TYPES = ['text/markdown', 'text/x-markdown', 'text/plain', 'application/markdown', 'application/octet-stream'];
+
+function parseSourceUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return { error: 'url is required' };
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    return { error: 'url is not a valid URL' };
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return { error: 'Only http and https URLs can be imported' };
+  if (url.username || url.password) return { error: 'URLs with credentials are not supported' };
+  return { url };
+}
+
+// Returns { content, contentType } or { error, status }
+async function fetchSource(url) {
+  let res;
+  try {
+    res = await fetch(url, {
+      headers: { Accept: 'text/markdown, text/plain;q=0.9, */*;q=0.1' },
+      signal: AbortSignal.timeout(URL_IMPORT_TIMEOUT_MS),
+    });
+  } catch (err) {
+    return { error: err.name === 'TimeoutError' ? 'The URL took too long to respond' : 'The URL could not be fetched', status: 502 };
+  }
+
+  const reject = async (error, status) => {
+    await res.body?.cancel();
+    return { error, status };
+  };
+  if (!res.ok) return reject(`The URL returned HTTP ${res.status}`, 502);
+  const contentType = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (contentType && !URL_IMPORT_TYPES.includes(contentType)) {
+    return reject(`Expected markdown or plain text, got ${contentType}`, 415);
+  }
+  if (Number(res.headers.get('content-length')) > MAX_URL_IMPORT_BYTES) {
+    return reject('The file at that URL is too large', 413);
+  }
+
+  // Content-Length can be missing or wrong, so count while reading too
+  const chunks = [];
+  let total = 0;
+  const reader = res.body ? res.body.getReader() : null;
+  while (reader) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > MAX_URL_IMPORT_BYTES) {
+      await reader.cancel();
+      return { error: 'The file at that URL is too large', status: 413 };
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  const content = decodeText(bytes);
+  if (content === null) return { error: 'The URL did not return text', status: 415 };
+  if (!content.trim()) return { error: 'The URL returned an empty file', status: 400 };
+  return { content, contentType };
+}
+
+// Explicit title, then a front matter title, then the last path segment
+function sourceFilename(url, content, title) {
+  if (typeof title === 'string' && title.trim()) return title.trim();
+  const fmTitle = parseFrontMatter(content).data?.title;
+  if (typeof fmTitle === 'string' && fmTitle.trim()) return fmTitle.trim();
+  const segment = url.pathname.split('/').filter(Boolean).pop();
+  if (segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  }
+  return url.hostname;
+}
+
+app.post('/api/import', async (c) => {
+  const body = await c.req.json();
+  const { url, error } = parseSourceUrl(body.url);
+  if (error) return c.json({ error }, 400);
+
+  const log = c.get('logger');
+  const fetched = await fetchSource(url);
+  if (fetched.error) {
+    log.warn('file.importFailed', { url: url.href, reason: fetched.error });
+    return c.json({ error: fetched.error }, fetched.status);
+  }
+
+  const { content, contentType } = fetched;
+  const id = crypto.randomUUID();
+  const filename = sourceFilename(url, content, body.title);
+  const format = !extensionOf(filename) && contentType === 'text/markdown' ? 'markdown' : detectFormat(filename, content);
+  const kv = c.get('kv');
+  const meta = await putNewFile(c, id, { filename, source: 'url', format, content, sourceUrl: url.href });
+  await addHistoryEntry(kv, { id, filename, source: 'url' }, historyLimit(c.env));
+  await updateSearchIndex(kv, id, { title: filename, content });
+  await updateLinkIndex(kv, id, { title: filename, content, format });
+
+  log.info('file.import', { fileId: id, url: url.href, format, size: content.length });
+  notifyLibrary(c, 'file.upload', { fileIds: [id] });
+
+  return c.json({ id, filename, format, tags: meta.tags || [], sourceUrl: url.href });
+});
+
+// Changed bodies are saved like an edit, so the previous one becomes a revision
+app.post('/api/files/:id/refresh', async (c) => {
+  const id = c.req.param('id');
+  const kv = c.get('kv');
+  const log = c.get('logger');
+  const metaJson = await readLiveMetaJson(kv, id);
+  if (!metaJson) {
+    log.warn('file.notFound', { fileId: id });
+    return c.json({ error: 'File not found' }, 404);
+  }
+  const sourceUrl = JSON.parse(metaJson).sourceUrl;
+  if (!sourceUrl) return c.json({ error: 'This file was not imported from a URL' }, 400);
+
+  const fetched = await fetchSource(new URL(sourceUrl));
+  if (fetched.error) {
+    log.warn('file.refreshFailed', { fileId: id, url: sourceUrl, reason: fetched.error });
+    return c.json({ error: fetched.error }, fetched.status);
+  }
+
+  const result = await updateFileContent(kv, c.env.MD_FILES, id, fetched.content);
+  if (!result) return c.json({ error: 'File not found' }, 404);
+
+  const meta = await changeMeta(kv, id, (meta) => {
+    meta.fetchedAt = new Date().toISOString();
+    meta.fetchChanged = result.revision !== null;
+  });
+  if (!meta) return c.json({ error: 'File not found' }, 404);
+
+  log.info('file.refresh', { fileId: id, changed: meta.fetchChanged, revisionId: result.revision?.id || null });
+  notifyLibrary(c, 'file.update', { fileId: id });
+
+  const links = await fileWikiLinks(kv, c.env.MD_FILES, fetched.content, result.format);
+  return c.json({
+    id,
+    changed: meta.fetchChanged,
+    fetchedAt: meta.fetchedAt,
+    content: fetched.content,
+    revision: result.revision,
+    frontMatter: result.frontMatter,
+    links,
+  });
+});
+
+// ── File listing ────────────────────────────────────────────────────────────
+
+// ?tag= narrows the list to files carrying that tag
+// Newest upload first; see the pagination helpers for ?limit= and ?cursor=
+app.get('/api/files', async (c) => {
+  const page = parsePageQuery(c);
+  if (page.error) return c.json({ error: page.error }, 400);
+  const { tag, error } = parseTagQuery(c);
+  if (error) return c.json({ error }, 400);
+  const allMeta = await listAllMeta(c.get('kv'));
+  const files = [];
+
+  for (const [id, meta] of allMeta) {
+    if (meta.archivedAt || meta.deletedAt) continue;
+    if (tag && !meta.tags?.includes(tag)) continue;
+    files.push({
+      id,
+      filename: meta.filename,
+      displayName: meta.filename,
+      source: meta.source,
+      format: meta.format || 'markdown',
+      size: meta.size,
+      words: meta.words ?? null,
+      readingMinutes: meta.readingMinutes ?? null,
+      views: meta.views?.count || 0,
+      pinned: meta.pinned === true,
+      tags: meta.tags || [],
+      created: meta.created || '',
+      modified: meta.lastAccessedAt || meta.created,
+    });
+  }
+
+  return c.json(paginate(c, files, page, (f) => [f.created, f.id], newestFirst));
+});
+
+// ── File content ────────────────────────────────────────────────────────────
+
+app.get('/api/files/:id', async (c) => {
+  const id = c.req.param('id');
+
+  // Metadata lives in the user's keyspace, so it doubles as the ownership check
+  const metaJson = await readLiveMetaJson(c.get('kv'), id);
+  const object = metaJson && await c.env.MD_FILES.get(`${id}.md`);
+  if (!object) {
+    const log = c.get('logger');
+    log.warn('file.notFound', { fileId: id });
+    return c.json({ error: 'File not found' }, 404);
+  }
+
+  const content = await object.text();
+
+  // Get display name from metadata
+  let displayName = `${id}.md`;
+  let source = 'upload';
+  let format = 'markdown';
+  let created = null;
+  let updatedAt = null;
+  let pinned = false;
+  let tags = [];
+  let frontMatter;
+  let sourceUrl = null;
+  let fetchedAt = null;
+  let fetchChanged = null;
+  let reading;
+  try {
+    const meta = JSON.parse(metaJson);
+    displayName = meta.filename || displayName;
+    source = meta.source || source;
+    format = meta.format || format;
+    created = meta.created || null;
+    updatedAt = meta.updatedAt || null;
+    pinned = meta.pinned === true;
+    tags = meta.tags || [];
+    frontMatter = meta.frontMatter;
+    sourceUrl = meta.sourceUrl || null;
+    fetchedAt = meta.fetchedAt || null;
+    fetchChanged = meta.fetchChanged ?? null;
+    // Files stored before reading stats were computed have no words field
+    if (meta.words === undefined) reading = readingStats(content, meta.format || format);
+  } catch { /* use defaults */ }
+  // Files stored before front matter was parsed have no frontMatter field
+  if (frontMatter === undefined) frontMatter = frontMatterProperties(content, format);
+
+  // ?view=0 fetches (the app showing a file it just stored or reloading it)
+  // still count as access for retention, but not as views
+  const view = c.req.query('view') !== '0';
+  const log = c.get('logger');
+  // Bookkeeping only: a read never fails because another change holds the
+  // history lease or the file's, it just isn't recorded
+  let meta = null;
+  try {
+    meta = await addHistoryEntry(c.get('kv'), { id, filename: displayName, source }, historyLimit(c.env), { view, reading });
+  } catch (err) {
+    if (!(err instanceof ConflictError)) throw err;
+    log.warn('history.skipped', { fileId: id, error: err.message });
+  }
+  const stats = meta ? { words: meta.words, readingMinutes: meta.readingMinutes } : readingStats(content, format);
+  const links = await fileWikiLinks(c.get('kv'), c.env.MD_FILES, content, format);
+
+  log.debug('file.fetch', { fileId: id });
+
+  return c.json({
+    id,
+    filename: displayName,
+    content,
+    format,
+    created,
+    updatedAt,
+    pinned,
+    tags,
+    frontMatter: frontMatter || null,
+    links,
+    sourceUrl,
+    fetchedAt,
+    fetchChanged,
+    words: stats.words,
+    readingMinutes: stats.readingMinutes,
+    views: {
+      count: meta?.views?.count || 0,
+      firstViewedAt: meta?.views?.firstViewedAt || null,
+      lastViewedAt: meta?.views?.lastViewedAt || null,
+      daily: viewSeries(meta?.views),
+    },
+  });
+});
+
+// ── Backlinks ───────────────────────────────────────────────────────────────
+// Files whose [[links]] resolve to this one, by ID or by filename
+
+app.get('/api/files/:id/backlinks', async (c) => {
+  const id = c.req.param('id');
+  const kv = c.get('kv');
+  const metaJson = await readLiveMetaJson(kv, id);
+  const log = c.get('logger');
+  if (!metaJson) {
+    log.warn('file.notFound', { fileId: id });
+    return c.json({ error: 'File not found' }, 404);
+  }
+
+  let filename = '';
+  try {
+    filename = JSON.parse(metaJson).filename || '';
+  } catch { /* match by ID only */ }
+  const keys = new Set([id, ...linkTitleKeys(filename)]);
+  const index = (await readLinkIndex(kv)) || (await rebuildLinkIndex(kv, c.env.MD_FILES));
+
+  const backlinks = [];
+  for (const [sourceId, entry] of Object.entries(index)) {
+    if (sourceId === id) continue;
+    const targets = entry.targets.filter((t) => keys.has(t));
+    if (targets.length === 0) continue;
+    // Another file with the same name may be the one these links resolve to
+    const resolved = await resolveWikiLinks(kv, index, targets);
+    if (!Object.values(resolved).some((file) => file.id === id)) continue;
+    const sourceJson = await readLiveMetaJson(kv, sourceId);
+    if (!sourceJson) continue;
+    let source = {};
+    try {
+      source = JSON.parse(sourceJson);
+    } catch { /* use defaults */ }
+    backlinks.push({ id: sourceId, filename: source.filename || `${sourceId}.md`, format: source.format || 'markdown' });
+  }
+  backlinks.sort((a, b) => a.filename.localeCompare(b.filename));
+
+  log.debug('file.backlinks', { fileId: id, count: backlinks.length });
+
+  return c.json(backlinks);
+});
+
+// ── File edit ───────────────────────────────────────────────────────────────
+
+app.put('/api/files/:id', async (c) => {
+  const id = c.req.param('id');
+  const { content } = await c.req.json();
+  if (typeof content !== 'string') {
+    return c.json({ error: 'Content is required' }, 400);
+  }
+
+  const result = await updateFileContent(c.get('kv'), c.env.MD_FILES, id, content);
+  const log = c.get('logger');
+  if (!result) {
+    log.warn('file.notFound', { fileId: id });
+    return c.json({ error: 'File not found' }, 404);
+  }
+
+  log.info('file.edit', { fileId: id, size: content.length, revisionId: result.revision?.id || null });
+  if (result.revision) notifyLibrary(c, 'file.update', { fileId: id });
+
+  const links = await fileWikiLinks(c.get('kv'), c.env.MD_FILES, content, result.format);
+  return c.json({ id, size: content.length, revision: result.revision, frontMatter: result.frontMatter, links });
+});
+
+// ── Server-side render ──────────────────────────────────────────────────────
+// Returns a self-contained HTML document for embedding or archiving. Rendering
+// isn't a view, so history and lastAccessedAt are left alone.
+
+const RENDER_FORMATS = ['html'];
+
+// User HTML is allowed in markdown, so the rendered page gets no network
+// access beyond images and fonts. The only scripts are the pinned Mermaid
+// build and its nonced loader; the sandbox keeps them off this origin.
+function renderCsp(nonce) {
+  return `default-src 'none'; style-src 'unsafe-inline'; img-src * data:; font-src * data:; script-src 'nonce-${nonce}' ${MERMAID_SCRIPT_URL}; sandbox allow-scripts`;
+}
+
+app.get('/api/files/:id/render', async (c) => {
+  const id = c.req.param('id');
+  const format = c.req.query('format') || 'html';
+  if (!RENDER_FORMATS.includes(format)) {
+    return c.json({ error: `format must be one of: ${RENDER_FORMATS.join(', ')}` }, 400);
+  }
+
+  const metaJson = await readLiveMetaJson(c.get('kv'), id);
+  const object = metaJson && await c.env.MD_FILES.get(`${id}.md`);
+  const log = c.get('logger');
+  if (!object) {
+    log.warn('file.notFound', { fileId: id });
+    return c.json({ error: 'File not found' }, 404);
+  }
+
+  let meta = {};
+  try {
+    meta = JSON.parse(metaJson);
+  } catch { /* use defaults */ }
+  const content = await object.text();
+  const fileFormat = meta.format || 'markdown';
+  const wikiLinks = await fileWikiLinks(c.get('kv'), c.env.MD_FILES, content, fileFormat);
+  const nonce = crypto.randomUUID();
+  const html = renderDocument(meta.filename || `${id}.md`, renderContent(content, fileFormat, { wikiLinks }), { nonce });
+
+  log.debug('file.render', { fileId: id, format, size: html.length });
+
+  c.header('Content-Security-Policy', renderCsp(nonce));
+  return c.html(html);
+});
+
+// ── Revision routes ─────────────────────────────────────────────────────────
+// Trashed files look deleted here too (see readLiveMetaJson())
+
+app.get('/api/files/:id/revisions', async (c) => {
+  const id = c.req.param('id');
+  if (!(await readLiveMetaJson(c.get('kv'), id))) return c.json({ error: 'File not found' }, 404);
+  return c.json(await readRevisions(c.get('kv'), id));
+});
+
+app.get('/api/files/:id/revisions/:revId', async (c) => {
+  const id = c.req.param('id');
+  if (!(await readLiveMetaJson(c.get('kv'), id))) return c.json({ error: 'File not found' }, 404);
+  const found = await readRevisionContent(c.get('kv'), c.env.MD_FILES, id, c.req.param('revId'));
+  if (!found) return c.json({ error: 'Revision not found' }, 404);
+  return c.json({ ...found.revision, content: found.content });
+});
+
+app.get('/api/files/:id/revisions/:revId/diff', async (c) => {
+  const id = c.req.param('id');
+  if (!(await readLiveMetaJson(c.get('kv'), id))) return c.json({ error: 'File not found' }, 404);
+  const found = await readRevisionContent(c.get('kv'), c.env.MD_FILES, id, c.req.param('revId'));
+  if (!found) return c.json({ error: 'Revision not found' }, 404);
+
+  const object = await c.env.MD_FILES.get(`${id}.md`);
+  if (!object) return c.json({ error: 'File not found' }, 404);
+  const current = await object.text();
+
+  return c.json({ revision: found.revision, diff: diffLines(found.content, current) });
+});
+
+app.post('/api/files/:id/revisions/:revId/restore', async (c) => {
+  const id = c.req.param('id');
+  const revId = c.req.param('revId');
+  const found = await readRevisionContent(c.get('kv'), c.env.MD_FILES, id, revId);
+  if (!found) return c.json({ error: 'Revision not found' }, 404);
+
+  const result = await updateFileContent(c.get('kv'), c.env.MD_FILES, id, found.content);
+  if (!result) return c.json({ error: 'File not found' }, 404);
+
+  const log = c.get('logger');
+  log.info('file.restore', { fileId: id, revisionId: revId });
+  notifyLibrary(c, 'file.update', { fileId: id });
+
+  const links = await fileWikiLinks(c.get('kv'), c.env.MD_FILES, found.content, result.format);
+  return c.json({ id, content: found.content, revision: result.revision, frontMatter: result.frontMatter, links });
+});
+
+// ── File rename ─────────────────────────────────────────────────────────────
+
+app.patch('/api/files/:id', async (c) => {
+  const id = c.req.param('id');
+  const { filename } = await c.req.json();
+
+  if (!filename || !filename.trim()) {
+    return c.json({ error: 'Filename is required' }, 400);
+  }
+
+  const trimmed = filename.trim();
+
+  const meta = await changeMeta(c.get('kv'), id, (meta) => {
+    if (meta.deletedAt) return { error: 'File not found', status: 404 };
+    meta.filename = trimmed;
+  });
+  if (!meta || meta.error) {
+    const log = c.get('logger');
+    log.warn('file.notFound', { fileId: id });
+    return c.json({ error: 'File not found' }, 404);
+  }
+
+  await updateHistory(c.get('kv'), (history) => history.map((h) =>
+    h.id === id ? { ...h, filename: trimmed } : h
+  ));
+  await updateSearchIndex(c.get('kv'), id, { title: trimmed });
+  await updateLinkIndex(c.get('kv'), id, { title: trimmed });
+
+  const log = c.get('logger');
+  log.info('file.rename', { fileId: id, filename: trimmed });
+  notifyLibrary(c, 'file.rename', { fileId: id, filename: trimmed });
+
+  return c.json({ id, filename: trimmed });
+});
+
+// ── File delete ─────────────────────────────────────────────────────────────
+// Moves the file to the trash. `folderId` stays on the metadata so a restore
+// can put it back; see the trash routes for permanent deletes.
+
+app.delete('/api/files/:id', async (c) => {
+  const id = c.req.param('id');
+
+  const meta = await changeMeta(c.get('kv'), id, (meta) => {
+    if (meta.deletedAt) return { error: 'File not found', status: 404 };
+    meta.deletedAt = new Date().toISOString();
+  });
+  if (!meta || meta.error) {
+    const log = c.get('logger');
+    log.warn('file.notFound', { fileId: id });
+    return c.json({ error: 'File not found' }, 404);
+  }
+
+  await updateFolders(c.get('kv'), (folders) => {
+    if (!folders.some((folder) => folder.fileIds.includes(id))) return false;
+    for (const folder of folders) folder.fileIds = folder.fileIds.filter((fid) => fid !== id);
+  });
+
+  const log = c.get('logger');
+  log.info('file.trash', { fileId: id });
+  notifyLibrary(c, 'file.delete', { fileId: id });
+
+  return c.json({ success: true, deletedAt: meta.deletedAt });
+});
+
+// ── Share routes ────────────────────────────────────────────────────────────
+
+app.post('/api/files/:id/shares', async (c) => {
+  const id = c.req.param('id');
+  const { expiresInDays } = await c.req.json().catch(() => ({}));
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      return c.json({ error: 'expiresInDays must be a positive number' }, 400);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const metaJson = await readLiveMetaJson(c.get('kv'), id);
+  if (!metaJson) {
+    const log = c.get('logger');
+    log.warn('file.notFound', { fileId: id });
+    return c.json({ error: 'File not found' }, 404);
+  }
+
+  const token = generateShareToken();
+  const share = { fileId: id, userId: c.get('user').id, created: new Date().toISOString(), expiresAt };
+  await writeShare(c.env.HISTORY, token, share);
+
+  const log = c.get('logger');
+  log.info('share.create', { fileId: id, expiresAt });
+
+  return c.json({ token, ...share, url: `/s/${token}` }, 201);
+});
+
+app.get('/api/files/:id/shares', async (c) => {
+  const id = c.req.param('id');
+  const shares = await listShares(c.env.HISTORY, c.get('user').id);
+  return c.json(
+    shares
+      .filter((s) => s.fileId === id)
+      .map((s) => ({ ...s, url: `/s/${s.token}` })),
+  );
+});
+
+app.get('/api/shares', async (c) => {
+  const shares = await listShares(c.env.HISTORY, c.get('user').id);
+  const allMeta = await listAllMeta(c.get('kv'));
+  return c.json(
+    shares
+      .filter((s) => allMeta.has(s.fileId) && !allMeta.get(s.fileId).deletedAt)
+      .map((s) => ({ ...s, filename: allMeta.get(s.fileId).filename, url: `/s/${s.token}` })),
+  );
+});
+
+app.delete('/api/shares/:token', async (c) => {
+  const token = c.req.param('token');
+  const share = await readShare(c.env.HISTORY, token);
+  if (!share || share.userId !== c.get('user').id) {
+    return c.json({ error: 'Share link not found' }, 404);
+  }
+
+  await deleteShare(c.env.HISTORY, share.userId, token);
+
+  const log = c.get('logger');
+  log.info('share.revoke', { fileId: share.fileId });
+
+  return c.json({ success: true });
+});
+
+// Public, unauthenticated read of a shared file. Does not touch history or
+// lastAccessedAt so a shared link can't keep a file alive past retention.
+app.get('/api/shared/:token', async (c) => {
+  const token = c.req.param('token');
+  const share = await readShare(c.env.HISTORY, token);
+  if (!share) return c.json({ error: 'Share link not found or expired' }, 404);
+
+  // Links stop working once their owner is disabled
+  const users = await readUsers(c.env.HISTORY);
+  const owner = users.find((u) => u.id === share.userId);
+  if (!owner || owner.disabled) return c.json({ error: 'Share link not found or expired' }, 404);
+
+  const metaJson = await readLiveMetaJson(scopedKV(c.env.HISTORY, owner.id), share.fileId);
+  const object = metaJson && await c.env.MD_FILES.get(`${share.fileId}.md`);
+  if (!object) return c.json({ error: 'Share link not found or expired' }, 404);
+
+  const content = await object.text();
+  let filename = `${share.fileId}.md`;
+  let format = 'markdown';
+  let created = null;
+  let frontMatter;
+  try {
+    const meta = JSON.parse(metaJson);
+    filename = meta.filename || filename;
+    format = meta.format || format;
+    created = meta.created || null;
+    frontMatter = meta.frontMatter;
+  } catch { /* use defaults */ }
+  if (frontMatter === undefined) frontMatter = frontMatterProperties(content, format);
+
+  const log = c.get('logger');
+  log.debug('share.fetch', { fileId: share.fileId });
+
+  return c.json({ filename, content, format, created, frontMatter: frontMatter || null, expiresAt: share.expiresAt });
+});
+
+// ── Search ──────────────────────────────────────────────────────────────────
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+
+app.get('/api/search', async (c) => {
+  const q = (c.req.query('q') || '').trim();
+  const rawLimit = c.req.query('limit');
+  const limit = rawLimit === undefined ? SEARCH_DEFAULT_LIMIT : Number(rawLimit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+    return c.json({ error: `limit must be an integer from 1 to ${SEARCH_MAX_LIMIT}` }, 400);
+  }
+  const terms = [...new Set(tokenize(q))];
+  if (terms.length === 0) return c.json([]);
+
+  const index = (await readSearchIndex(c.get('kv'))) || (await rebuildSearchIndex(c.get('kv'), c.env.MD_FILES));
+
+  const ranked = Object.entries(index)
+    .map(([id, entry]) => ({ id, entry, score: scoreEntry(entry, terms) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const results = [];
+  for (const { id } of ranked) {
+    if (results.length >= limit) break;
+    const metaJson = await c.get('kv').get(`meta:${id}`);
+    if (!metaJson) continue;
+    let meta;
+    try {
+      meta = JSON.parse(metaJson);
+    } catch {
+      continue;
+    }
+    if (meta.archivedAt || meta.deletedAt) continue;
+
+    const object = await c.env.MD_FILES.get(`${id}.md`);
+    if (!object) continue;
+
+    results.push({
+      id,
+      filename: meta.filename,
+      source: meta.source,
+      titleHighlights: findHighlights(meta.filename, terms),
+      snippet: buildSnippet(await object.text(), terms),
+    });
+  }
+
+  const log = c.get('logger');
+  log.debug('search.query', { terms: terms.length, matches: ranked.length });
+
+  return c.json(results);
+});
+
+app.post('/api/search/reindex', async (c) => {
+  const index = await rebuildSearchIndex(c.get('kv'), c.env.MD_FILES);
+  const log = c.get('logger');
+  log.info('search.reindex', { fileCount: Object.keys(index).length });
+  return c.json({ indexed: Object.keys(index).length });
+});
+
+// ── Archive routes ──────────────────────────────────────────────────────────
+// Retention archives inactive files before deleting them (see the retention
+// policies above). Archived files are hidden from the file list and history,
+// so these routes list them and let them be rescued before the purge.
+
+app.get('/api/archive', async (c) => {
+  const allMeta = await listAllMeta(c.get('kv'));
+  const folders = await readFolders(c.get('kv'));
+  const defaults = retentionDefaults(c.env);
+  const now = Date.now();
+  const files = [];
+
+  for (const [id, meta] of allMeta) {
+    if (!meta.archivedAt || meta.deletedAt) continue;
+    const deletesAt = retentionDeletesAt(meta, resolveRetention(meta, folders, defaults));
+    files.push({
+      id,
+      filename: meta.filename,
+      source: meta.source,
+      format: meta.format || 'markdown',
+      size: meta.size,
+      archivedAt: meta.archivedAt,
+      lastAccessedAt: meta.lastAccessedAt || meta.created,
+      deletesAt,
+      daysLeft: deletesAt ? Math.max(0, Math.ceil((new Date(deletesAt).getTime() - now) / DAY_MS)) : null,
+    });
+  }
+
+  // Soonest to be deleted first
+  files.sort((a, b) => (a.deletesAt || '').localeCompare(b.deletesAt || ''));
+  return c.json(files);
+});
+
+// Restoring counts as a view: the file returns to history and the retention
+// clock restarts
+app.post('/api/archive/:id/restore', async (c) => {
+  const id = c.req.param('id');
+  const metaJson = await readLiveMetaJson(c.get('kv'), id);
+  if (!metaJson) return c.json({ error: 'File not found' }, 404);
+
+  const meta = JSON.parse(metaJson);
+  await addHistoryEntry(c.get('kv'), { id, filename: meta.filename, source: meta.source }, historyLimit(c.env));
 
   const log = c.get('logger');
-  log.info('file.upload', { fileId: id, filename: originalName, size: content.length });
+  log.info('file.unarchive', { fileId: id });
+  notifyLibrary(c, 'file.restore', { fileId: id });
 
-  return c.json({ id, filename: originalName });
+  return c.json({ success: true });
 });
 
-// ── Paste upload ────────────────────────────────────────────────────────────
+// Pinned files are skipped by retention; pinning an archived file restores it
+async function setPinned(c, id, pinned) {
+  const meta = await changeMeta(c.get('kv'), id, (meta) => {
+    if (meta.deletedAt) return { error: 'File not found', status: 404 };
+    if (pinned) {
+      meta.pinned = true;
+      delete meta.archivedAt;
+    } else {
+      delete meta.pinned;
+    }
+  });
+  if (!meta || meta.error) return c.json({ error: 'File not found' }, 404);
 
-app.post('/api/paste', async (c) => {
-  const { content, title } = await c.req.json();
-  if (!content || typeof content !== 'string') {
-    return c.json({ error: 'No content provided' }, 400);
-  }
+  const log = c.get('logger');
+  log.info(pinned ? 'file.pin' : 'file.unpin', { fileId: id });
+  notifyLibrary(c, 'file.update', { fileId: id });
 
-  const id = crypto.randomUUID();
-  const displayName = title || 'Pasted Markdown';
-  const now = new Date().toISOString();
+  return c.json({ id, pinned });
+}
 
-  await c.env.MD_FILES.put(`${id}.md`, content);
-  await c.env.HISTORY.put(`meta:${id}`, JSON.stringify({
-    filename: displayName,
-    source: 'paste',
-    size: content.length,
-    created: now,
-    lastAccessedAt: now,
-  }));
-  await addHistoryEntry(c.env.HISTORY, { id, filename: displayName, source: 'paste' });
+app.post('/api/files/:id/pin', (c) => setPinned(c, c.req.param('id'), true));
+app.delete('/api/files/:id/pin', (c) => setPinned(c, c.req.param('id'), false));
 
-  const log = c.get('logger');
-  log.info('file.paste', { fileId: id, filename: displayName, size: content.length });
+// ── Trash routes ────────────────────────────────────────────────────────────
+// Deletes land here first (see the trash helpers). Trashed folders are listed
+// as one item with their contents; files trashed on their own are listed
+// individually.
 
-  return c.json({ id, filename: displayName });
-});
+app.get('/api/trash', async (c) => {
+  const kv = c.get('kv');
+  const trash = await readTrash(kv);
+  const allMeta = await listAllMeta(kv);
+  const days = trashDays(c.env);
+  const now = Date.now();
 
-// ── File listing ────────────────────────────────────────────────────────────
+  const purgeInfo = (deletedAt) => {
+    if (days === null) return { purgesAt: null, daysLeft: null };
+    const purgesAt = new Date(deletedAt).getTime() + days * DAY_MS;
+    return {
+      purgesAt: new Date(purgesAt).toISOString(),
+      daysLeft: Math.max(0, Math.ceil((purgesAt - now) / DAY_MS)),
+    };
+  };
 
-app.get('/api/files', async (c) => {
-  const allMeta = await listAllMeta(c.env.HISTORY);
-  const files = [];
+  const items = trash.map((entry) => ({
+    type: 'folder',
+    id: entry.id,
+    name: entry.folders.find((f) => f.id === entry.id)?.name || entry.id,
+    deletedAt: entry.deletedAt,
+    ...purgeInfo(entry.deletedAt),
+    folderCount: entry.folders.length - 1,
+    fileCount: trashEntryFileIds(entry).filter((fid) => allMeta.has(fid)).length,
+  }));
 
+  const inFolders = new Set(trash.flatMap(trashEntryFileIds));
   for (const [id, meta] of allMeta) {
-    if (meta.archivedAt) continue;
-    files.push({
+    if (!meta.deletedAt || inFolders.has(id)) continue;
+    items.push({
+      type: 'file',
       id,
-      filename: meta.filename,
-      displayName: meta.filename,
-      source: meta.source,
+      name: meta.filename,
+      deletedAt: meta.deletedAt,
+      ...purgeInfo(meta.deletedAt),
+      format: meta.format || 'markdown',
       size: meta.size,
-      modified: meta.lastAccessedAt || meta.created,
     });
   }
 
-  return c.json(files);
+  // Most recently deleted first
+  items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  return c.json(items);
 });
 
-// ── File content ────────────────────────────────────────────────────────────
-
-app.get('/api/files/:id', async (c) => {
+// Puts the file back in its folder if that folder still exists. A file
+// restored out of a trashed folder comes back unfiled.
+app.post('/api/trash/files/:id/restore', async (c) => {
   const id = c.req.param('id');
-
-  const object = await c.env.MD_FILES.get(`${id}.md`);
-  if (!object) {
-    const log = c.get('logger');
-    log.warn('file.notFound', { fileId: id });
-    return c.json({ error: 'File not found' }, 404);
+  const kv = c.get('kv');
+  const trashed = await readMetaKey(kv, `meta:${id}`);
+  if (!trashed?.deletedAt) return c.json({ error: 'File not found in trash' }, 404);
+
+  let folderId = trashed.folderId;
+  if (await removeFromTrashedFolders(kv, [id])) folderId = null;
+
+  let placed = false;
+  if (folderId) {
+    await updateFolders(kv, (folders) => {
+      const folder = folders.find((f) => f.id === folderId);
+      if (!folder) return false;
+      if (!folder.fileIds.includes(id)) folder.fileIds.push(id);
+      placed = true;
+    });
   }
+  const meta = await changeMeta(kv, id, (meta) => {
+    delete meta.deletedAt;
+    if (placed) meta.folderId = folderId;
+    else delete meta.folderId;
+  });
+  if (!meta) return c.json({ error: 'File not found in trash' }, 404);
 
-  const content = await object.text();
+  const log = c.get('logger');
+  log.info('file.untrash', { fileId: id, folderId: meta.folderId || null });
+  notifyLibrary(c, 'file.restore', { fileId: id });
 
-  // Get display name from metadata
-  const metaJson = await c.env.HISTORY.get(`meta:${id}`);
-  let displayName = `${id}.md`;
-  let source = 'upload';
-  let created = null;
-  if (metaJson) {
-    try {
-      const meta = JSON.parse(metaJson);
-      displayName = meta.filename || displayName;
-      source = meta.source || source;
-      created = meta.created || null;
-    } catch { /* use defaults */ }
+  return c.json({ id, folderId: meta.folderId || null });
+});
+
+// Restores the folder with its subfolders and files, at the end of its old
+// parent (or the top level if the parent is gone)
+app.post('/api/trash/folders/:id/restore', async (c) => {
+  const id = c.req.param('id');
+  const kv = c.get('kv');
+  const trash = await readTrash(kv);
+  const entry = trash.find((e) => e.id === id);
+  const root = entry?.folders.find((f) => f.id === id);
+  if (!root) return c.json({ error: 'Folder not found in trash' }, 404);
+
+  for (const folder of entry.folders) {
+    const restored = [];
+    for (const fid of folder.fileIds) {
+      const meta = await changeMeta(kv, fid, (meta) => {
+        delete meta.deletedAt;
+        meta.folderId = folder.id;
+      });
+      // Missing and corrupt meta drop out of the folder
+      if (meta) restored.push(fid);
+    }
+    folder.fileIds = restored;
   }
 
-  await addHistoryEntry(c.env.HISTORY, { id, filename: displayName, source });
+  let parentId = null;
+  await updateFolders(kv, (folders) => {
+    parentId = root.parentId && folders.some((f) => f.id === root.parentId) ? root.parentId : null;
+    placeFolder(folders, root, parentId);
+    folders.push(...entry.folders.filter((f) => f !== root));
+  });
+  await updateTrash(kv, (current) => current.filter((e) => e.id !== id));
 
   const log = c.get('logger');
-  log.debug('file.fetch', { fileId: id });
+  log.info('folder.untrash', { folderId: id, parentId, folderCount: entry.folders.length });
+  notifyLibrary(c, 'folder.restore', { folderId: id });
 
-  return c.json({ id, filename: displayName, content, created });
+  return c.json({ id, parentId });
 });
 
-// ── File rename ─────────────────────────────────────────────────────────────
+app.delete('/api/trash/files/:id', async (c) => {
+  const id = c.req.param('id');
+  const kv = c.get('kv');
+  const metaJson = await kv.get(`meta:${id}`);
+  const meta = metaJson && JSON.parse(metaJson);
+  if (!meta?.deletedAt) return c.json({ error: 'File not found in trash' }, 404);
 
-app.patch('/api/files/:id', async (c) => {
+  await purgeFiles(c.env, kv, c.get('user').id, [id]);
+  await removeFromTrashedFolders(kv, [id]);
+
+  const log = c.get('logger');
+  log.info('file.delete', { fileId: id });
+  notifyLibrary(c, 'trash.purge');
+
+  return c.json({ success: true });
+});
+
+app.delete('/api/trash/folders/:id', async (c) => {
   const id = c.req.param('id');
-  const { filename } = await c.req.json();
+  const kv = c.get('kv');
+  const trash = await readTrash(kv);
+  const entry = trash.find((e) => e.id === id);
+  if (!entry) return c.json({ error: 'Folder not found in trash' }, 404);
 
-  if (!filename || !filename.trim()) {
-    return c.json({ error: 'Filename is required' }, 400);
-  }
+  const fileIds = trashEntryFileIds(entry);
+  await purgeFiles(c.env, kv, c.get('user').id, fileIds);
+  await updateTrash(kv, (current) => current.filter((e) => e.id !== id));
 
-  const trimmed = filename.trim();
+  const log = c.get('logger');
+  log.info('folder.delete', { folderId: id, folderCount: entry.folders.length, fileCount: fileIds.length });
+  notifyLibrary(c, 'trash.purge');
 
-  const metaJson = await c.env.HISTORY.get(`meta:${id}`);
-  if (!metaJson) {
-    const log = c.get('logger');
-    log.warn('file.notFound', { fileId: id });
-    return c.json({ error: 'File not found' }, 404);
-  }
+  return c.json({ success: true });
+});
 
-  const meta = JSON.parse(metaJson);
-  meta.filename = trimmed;
-  await c.env.HISTORY.put(`meta:${id}`, JSON.stringify(meta));
+// Empties the trash
+app.delete('/api/trash', async (c) => {
+  const kv = c.get('kv');
+  const trash = await readTrash(kv);
+  const ids = new Set(trash.flatMap(trashEntryFileIds));
+  for (const [id, meta] of await listAllMeta(kv)) {
+    if (meta.deletedAt) ids.add(id);
+  }
 
-  const history = await readHistory(c.env.HISTORY);
-  const updated = history.map((h) =>
-    h.id === id ? { ...h, filename: trimmed } : h
-  );
-  await writeHistory(c.env.HISTORY, updated);
+  await purgeFiles(c.env, kv, c.get('user').id, [...ids]);
+  // Only what was listed here; a folder trashed meanwhile stays
+  const emptied = new Set(trash.map((entry) => entry.id));
+  await updateTrash(kv, (current) => current.filter((entry) => !emptied.has(entry.id)));
 
   const log = c.get('logger');
-  log.info('file.rename', { fileId: id, filename: trimmed });
+  log.info('trash.empty', { folders: trash.length, files: ids.size });
+  notifyLibrary(c, 'trash.purge');
 
-  return c.json({ id, filename: trimmed });
+  return c.json({ success: true });
 });
 
-// ── File delete ─────────────────────────────────────────────────────────────
+// ── Retention routes ────────────────────────────────────────────────────────
+
+// Dry run: what the next cron run would archive or delete for this user
+app.get('/api/retention/preview', async (c) => {
+  const plan = await planRetention(c.env, c.get('kv'));
+  const describe = ({ id, meta, policy }) => ({
+    id,
+    filename: meta.filename,
+    folderId: meta.folderId || null,
+    lastAccessedAt: meta.lastAccessedAt || meta.created,
+    policy,
+  });
+  return c.json({
+    defaults: plan.defaults,
+    archive: plan.archive.map(describe),
+    delete: plan.delete.map(describe),
+  });
+});
 
-app.delete('/api/files/:id', async (c) => {
+// Body: { archiveDays, deleteDays } (days, or null for never) to set the
+// folder's own policy, or { inherit: true } to go back to the parent's
+app.put('/api/folders/:id/retention', async (c) => {
   const id = c.req.param('id');
+  const body = await c.req.json();
+
+  let retention = null;
+  if (!body.inherit) {
+    const valid = (d) => d === null || (Number.isFinite(d) && d > 0);
+    const archiveDays = body.archiveDays ?? null;
+    const deleteDays = body.deleteDays ?? null;
+    if (!valid(archiveDays) || !valid(deleteDays)) {
+      return c.json({ error: 'archiveDays and deleteDays must be a positive number of days or null' }, 400);
+    }
+    retention = { archiveDays, deleteDays };
+  }
 
-  await c.env.MD_FILES.delete(`${id}.md`);
-  await c.env.HISTORY.delete(`meta:${id}`);
+  const result = await updateFolders(c.get('kv'), (folders) => {
+    const folder = folders.find((f) => f.id === id);
+    if (!folder) return { error: 'Folder not found', status: 404 };
+    if (retention) folder.retention = retention;
+    else delete folder.retention;
+  });
+  if (result.error) return c.json({ error: result.error }, result.status);
 
-  const history = await readHistory(c.env.HISTORY);
-  await writeHistory(c.env.HISTORY, history.filter((h) => h.id !== id));
+  const log = c.get('logger');
+  log.info('folder.retention', { folderId: id, ...(retention || { inherit: true }) });
+  notifyLibrary(c, 'folder.update', { folderId: id });
 
-  const folders = await readFolders(c.env.HISTORY);
-  let foldersChanged = false;
-  for (const folder of folders) {
-    const before = folder.fileIds.length;
-    folder.fileIds = folder.fileIds.filter((fid) => fid !== id);
-    if (folder.fileIds.length !== before) foldersChanged = true;
+  return c.json({ id, retention });
+});
+// ── Stats routes ────────────────────────────────────────────────────────────
+// What the library is actually read for: the most-viewed files, the ones
+// nobody has opened lately (with when retention will delete them), and the
+// largest. View counts and reading stats are kept on each file's metadata
+// (see analytics.js). Archived files count as stale; trashed ones are left out.
+
+app.get('/api/stats', async (c) => {
+  const limit = c.req.query('limit') ? Number(c.req.query('limit')) : 10;
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return c.json({ error: 'limit must be a whole number from 1 to 50' }, 400);
   }
-  if (foldersChanged) await writeFolders(c.env.HISTORY, folders);
+  const allMeta = await listAllMeta(c.get('kv'));
+  const folders = await readFolders(c.get('kv'));
+  const defaults = retentionDefaults(c.env);
+  const now = Date.now();
+  const files = [];
+  const totals = { files: 0, views: 0, words: 0, size: 0 };
 
-  const log = c.get('logger');
-  log.info('file.delete', { fileId: id });
+  for (const [id, meta] of allMeta) {
+    if (meta.deletedAt) continue;
+    const file = {
+      id,
+      filename: meta.filename,
+      format: meta.format || 'markdown',
+      size: meta.size || 0,
+      words: meta.words ?? null,
+      readingMinutes: meta.readingMinutes ?? null,
+      views: meta.views?.count || 0,
+      recentViews: recentViews(meta.views, now),
+      lastViewedAt: meta.views?.lastViewedAt || null,
+      lastAccessedAt: meta.lastAccessedAt || meta.created,
+      archivedAt: meta.archivedAt || null,
+      deletesAt: retentionDeletesAt(meta, resolveRetention(meta, folders, defaults)),
+    };
+    files.push(file);
+    totals.files++;
+    totals.views += file.views;
+    totals.words += file.words || 0;
+    totals.size += file.size;
+  }
 
-  return c.json({ success: true });
+  const top = (compare) => [...files].sort(compare).slice(0, limit);
+  return c.json({
+    totals,
+    mostViewed: top((a, b) => b.views - a.views || b.recentViews - a.recentViews).filter((f) => f.views > 0),
+    // Least recently opened first, so the next to be archived or deleted lead
+    stale: top((a, b) => (a.lastAccessedAt || '').localeCompare(b.lastAccessedAt || '')),
+    largest: top((a, b) => b.size - a.size),
+  });
+});
+
+// ── Live update routes ──────────────────────────────────────────────────────
+
+// WebSocket upgrade for the sidebar's live updates; the tab falls back to
+// polling when this fails
+app.get('/api/events', async (c) => {
+  const coordinator = c.get('kv').coordinator;
+  if (!coordinator) {
+    return c.json({ error: 'Live updates are not configured' }, 501);
+  }
+  if (c.req.header('Upgrade')?.toLowerCase() !== 'websocket') {
+    return c.json({ error: 'Expected a WebSocket upgrade' }, 426);
+  }
+  return coordinator.fetch(c.req.raw);
 });
 
+
 // ── History routes ──────────────────────────────────────────────────────────
 
+// Most recently viewed first, optionally only files tagged ?tag=; see the
+// pagination helpers for ?limit= and ?cursor=
 app.get('/api/history', async (c) => {
-  const history = await readHistory(c.env.HISTORY);
-  const allMeta = await listAllMeta(c.env.HISTORY);
-
-  return c.json(
-    history
-      .filter((h) => {
-        const meta = allMeta.get(h.id);
-        return meta && !meta.archivedAt;
-      })
-      .map((h) => {
-        const meta = allMeta.get(h.id);
-        return { ...h, folderId: meta?.folderId || null };
-      }),
-  );
+  const page = parsePageQuery(c);
+  if (page.error) return c.json({ error: page.error }, 400);
+  const { tag, error } = parseTagQuery(c);
+  if (error) return c.json({ error }, 400);
+  const history = await readHistory(c.get('kv'));
+  const allMeta = await listAllMeta(c.get('kv'));
+
+  const entries = history
+    .filter((h) => {
+      const meta = allMeta.get(h.id);
+      return meta && !meta.archivedAt && !meta.deletedAt && (!tag || meta.tags?.includes(tag));
+    })
+    .map((h) => {
+      const meta = allMeta.get(h.id);
+      return { ...h, folderId: meta?.folderId || null, tags: meta?.tags || [] };
+    });
+  return c.json(paginate(c, entries, page, (h) => [h.viewedAt || '', h.id], newestFirst));
 });
 
 app.delete('/api/history', async (c) => {
-  await writeHistory(c.env.HISTORY, []);
+  await updateHistory(c.get('kv'), () => []);
   const log = c.get('logger');
   log.info('history.clear');
+  notifyLibrary(c, 'history.clear');
   return c.json({ success: true });
 });
 
 app.delete('/api/history/:id', async (c) => {
   const id = c.req.param('id');
-  const history = await readHistory(c.env.HISTORY);
-  await writeHistory(c.env.HISTORY, history.filter((h) => h.id !== id));
+  await updateHistory(c.get('kv'), (history) => history.filter((h) => h.id !== id));
   const log = c.get('logger');
   log.info('history.remove', { entryId: id });
+  notifyLibrary(c, 'history.remove', { fileId: id });
   return c.json({ success: true });
 });
 
 // ── Folder routes ───────────────────────────────────────────────────────────
 
+// Returns the top-level folders, each with nested `children`
 app.get('/api/folders', async (c) => {
-  const folders = await readFolders(c.env.HISTORY);
-  const allMeta = await listAllMeta(c.env.HISTORY);
+  const { data: folders, version } = await readDocument(c.get('kv'), 'folders');
+  const allMeta = await listAllMeta(c.get('kv'));
 
-  const enriched = folders.map((folder) => ({
+  const nodes = new Map(folders.map((folder) => [folder.id, {
     id: folder.id,
     name: folder.name,
+    parentId: parentOf(folders, folder),
+    retention: folder.retention || null,
     created: folder.created,
     files: folder.fileIds
       .map((fid) => {
         const meta = allMeta.get(fid);
         if (!meta) return null;
-        return { id: fid, filename: meta.filename, source: meta.source, size: meta.size };
+        return { id: fid, filename: meta.filename, source: meta.source, size: meta.size, tags: meta.tags || [] };
       })
       .filter(Boolean),
-  }));
+    children: [],
+  }]));
 
-  return c.json(enriched);
+  const roots = [];
+  for (const node of nodes.values()) {
+    if (node.parentId) nodes.get(node.parentId).children.push(node);
+    else roots.push(node);
+  }
+
+  // Sent back as If-Match on moves (see updateFolders)
+  c.header('ETag', versionETag(version));
+  return c.json(roots);
 });
 
 app.post('/api/folders', async (c) => {
-  const { name } = await c.req.json();
+  const { name, parentId = null } = await c.req.json();
   if (!name || !name.trim()) {
     return c.json({ error: 'Folder name is required' }, 400);
   }
@@ -469,20 +3503,54 @@ app.post('/api/folders', async (c) => {
   const folder = {
     id: generateFolderId(),
     name: name.trim(),
+    parentId,
     fileIds: [],
     created: new Date().toISOString(),
   };
 
-  const folders = await readFolders(c.env.HISTORY);
-  folders.push(folder);
-  await writeFolders(c.env.HISTORY, folders);
+  const result = await updateFolders(c.get('kv'), (folders) => {
+    if (parentId && !folders.some((f) => f.id === parentId)) {
+      return { error: 'Parent folder not found', status: 404 };
+    }
+    placeFolder(folders, folder, parentId);
+  });
+  if (result.error) return c.json({ error: result.error }, result.status);
 
   const log = c.get('logger');
-  log.info('folder.create', { folderId: folder.id, name: folder.name });
+  log.info('folder.create', { folderId: folder.id, name: folder.name, parentId });
+  notifyLibrary(c, 'folder.create', { folderId: folder.id });
 
   return c.json(folder, 201);
 });
 
+// Reparents and/or reorders a folder: { parentId: null | folderId, index? }
+app.post('/api/folders/:id/move', async (c) => {
+  const id = c.req.param('id');
+  const body = await c.req.json();
+  const parentId = body.parentId || null;
+  const { index, error } = parseIndex(body.index);
+  if (error) return c.json({ error }, 400);
+
+  const result = await updateFolders(c.get('kv'), (folders) => {
+    const folder = folders.find((f) => f.id === id);
+    if (!folder) return { error: 'Folder not found', status: 404 };
+    if (parentId && !folders.some((f) => f.id === parentId)) {
+      return { error: 'Parent folder not found', status: 404 };
+    }
+    if (parentId && subtreeIds(folders, id).has(parentId)) {
+      return { error: 'A folder cannot be moved inside itself', status: 400 };
+    }
+    placeFolder(folders, folder, parentId, index);
+  }, { ifMatch: parseIfMatch(c.req.header('If-Match')) });
+  if (result.error) return c.json({ error: result.error }, result.status);
+
+  const log = c.get('logger');
+  log.info('folder.move', { folderId: id, parentId, index: index ?? null });
+  notifyLibrary(c, 'folder.move', { folderId: id });
+
+  return c.json({ success: true });
+});
+
 app.patch('/api/folders/:id', async (c) => {
   const id = c.req.param('id');
   const { name } = await c.req.json();
@@ -490,63 +3558,74 @@ app.patch('/api/folders/:id', async (c) => {
     return c.json({ error: 'Folder name is required' }, 400);
   }
 
-  const folders = await readFolders(c.env.HISTORY);
-  const folder = folders.find((f) => f.id === id);
-  if (!folder) return c.json({ error: 'Folder not found' }, 404);
-
-  folder.name = name.trim();
-  await writeFolders(c.env.HISTORY, folders);
+  let folder;
+  const result = await updateFolders(c.get('kv'), (folders) => {
+    folder = folders.find((f) => f.id === id);
+    if (!folder) return { error: 'Folder not found', status: 404 };
+    folder.name = name.trim();
+  });
+  if (result.error) return c.json({ error: result.error }, result.status);
+  notifyLibrary(c, 'folder.rename', { folderId: id, name: folder.name });
 
   return c.json(folder);
 });
 
+// Moves the folder, its subfolders and every file in them to the trash
 app.delete('/api/folders/:id', async (c) => {
   const id = c.req.param('id');
-  const folders = await readFolders(c.env.HISTORY);
-  const folder = folders.find((f) => f.id === id);
-  if (!folder) return c.json({ error: 'Folder not found' }, 404);
-
-  for (const fid of folder.fileIds) {
-    await c.env.MD_FILES.delete(`${fid}.md`);
-    await c.env.HISTORY.delete(`meta:${fid}`);
-  }
+  const kv = c.get('kv');
+  const deletedAt = new Date().toISOString();
+  let entry;
+  const result = await updateFolders(kv, (folders) => {
+    if (!folders.some((f) => f.id === id)) return { error: 'Folder not found', status: 404 };
+    const removed = subtreeIds(folders, id);
+    entry = { id, deletedAt, folders: folders.filter((f) => removed.has(f.id)) };
+    return folders.filter((f) => !removed.has(f.id));
+  });
+  if (result.error) return c.json({ error: result.error }, result.status);
 
-  if (folder.fileIds.length > 0) {
-    const deleted = new Set(folder.fileIds);
-    const history = await readHistory(c.env.HISTORY);
-    await writeHistory(c.env.HISTORY, history.filter((h) => !deleted.has(h.id)));
+  for (const fid of trashEntryFileIds(entry)) {
+    await changeMeta(kv, fid, (meta) => {
+      meta.deletedAt = deletedAt;
+    });
   }
 
-  await writeFolders(c.env.HISTORY, folders.filter((f) => f.id !== id));
+  await updateTrash(kv, (trash) => {
+    trash.unshift(entry);
+  });
 
   const log = c.get('logger');
-  log.info('folder.delete', { folderId: id, fileCount: folder.fileIds.length });
+  log.info('folder.trash', { folderId: id, folderCount: entry.folders.length, fileCount: trashEntryFileIds(entry).length });
+  notifyLibrary(c, 'folder.delete', { folderId: id, fileIds: trashEntryFileIds(entry) });
 
-  return c.json({ success: true });
+  return c.json({ success: true, deletedAt });
 });
 
 app.post('/api/folders/:id/files', async (c) => {
   const folderId = c.req.param('id');
-  const { fileId } = await c.req.json();
+  const body = await c.req.json();
+  const { fileId } = body;
   if (!fileId) return c.json({ error: 'fileId is required' }, 400);
+  const { index, error } = parseIndex(body.index);
+  if (error) return c.json({ error }, 400);
 
-  const folders = await readFolders(c.env.HISTORY);
-  const folder = folders.find((f) => f.id === folderId);
-  if (!folder) return c.json({ error: 'Folder not found' }, 404);
-
-  const metaJson = await c.env.HISTORY.get(`meta:${fileId}`);
+  const metaJson = await readLiveMetaJson(c.get('kv'), fileId);
   if (!metaJson) return c.json({ error: 'File not found' }, 404);
 
-  for (const f of folders) {
-    f.fileIds = f.fileIds.filter((id) => id !== fileId);
-  }
-
-  folder.fileIds.push(fileId);
-  await writeFolders(c.env.HISTORY, folders);
+  const result = await updateFolders(c.get('kv'), (folders) => {
+    const folder = folders.find((f) => f.id === folderId);
+    if (!folder) return { error: 'Folder not found', status: 404 };
+    for (const f of folders) {
+      f.fileIds = f.fileIds.filter((id) => id !== fileId);
+    }
+    insertAt(folder.fileIds, fileId, index);
+  }, { ifMatch: parseIfMatch(c.req.header('If-Match')) });
+  if (result.error) return c.json({ error: result.error }, result.status);
 
-  const meta = JSON.parse(metaJson);
-  meta.folderId = folderId;
-  await c.env.HISTORY.put(`meta:${fileId}`, JSON.stringify(meta));
+  await changeMeta(c.get('kv'), fileId, (meta) => {
+    meta.folderId = folderId;
+  });
+  notifyLibrary(c, 'file.move', { fileId, folderId });
 
   return c.json({ success: true });
 });
@@ -555,60 +3634,333 @@ app.delete('/api/folders/:id/files/:fileId', async (c) => {
   const folderId = c.req.param('id');
   const fileId = c.req.param('fileId');
 
-  const folders = await readFolders(c.env.HISTORY);
-  const folder = folders.find((f) => f.id === folderId);
-  if (!folder) return c.json({ error: 'Folder not found' }, 404);
-
-  folder.fileIds = folder.fileIds.filter((id) => id !== fileId);
-  await writeFolders(c.env.HISTORY, folders);
+  const result = await updateFolders(c.get('kv'), (folders) => {
+    const folder = folders.find((f) => f.id === folderId);
+    if (!folder) return { error: 'Folder not found', status: 404 };
+    folder.fileIds = folder.fileIds.filter((id) => id !== fileId);
+  });
+  if (result.error) return c.json({ error: result.error }, result.status);
 
-  const metaJson = await c.env.HISTORY.get(`meta:${fileId}`);
-  if (metaJson) {
-    try {
-      const meta = JSON.parse(metaJson);
-      delete meta.folderId;
-      await c.env.HISTORY.put(`meta:${fileId}`, JSON.stringify(meta));
-    } catch { /* ignore corrupt meta */ }
-  }
+  await changeMeta(c.get('kv'), fileId, (meta) => {
+    delete meta.folderId;
+  });
+  notifyLibrary(c, 'file.move', { fileId, folderId: null });
 
   return c.json({ success: true });
 });
 
+// Moves a file to another folder, or reorders it within the same one when
+// targetFolderId is the source: { targetFolderId, index? }
 app.post('/api/folders/:id/files/:fileId/move', async (c) => {
   const sourceFolderId = c.req.param('id');
   const fileId = c.req.param('fileId');
-  const { targetFolderId } = await c.req.json();
+  const body = await c.req.json();
+  const { targetFolderId } = body;
   if (!targetFolderId) return c.json({ error: 'targetFolderId is required' }, 400);
+  const { index, error } = parseIndex(body.index);
+  if (error) return c.json({ error }, 400);
+
+  const result = await updateFolders(c.get('kv'), (folders) => {
+    const source = folders.find((f) => f.id === sourceFolderId);
+    const target = folders.find((f) => f.id === targetFolderId);
+    if (!source || !target) return { error: 'Folder not found', status: 404 };
+    if (!source.fileIds.includes(fileId)) return { error: 'File not found', status: 404 };
+    source.fileIds = source.fileIds.filter((id) => id !== fileId);
+    target.fileIds = target.fileIds.filter((id) => id !== fileId);
+    insertAt(target.fileIds, fileId, index);
+  }, { ifMatch: parseIfMatch(c.req.header('If-Match')) });
+  if (result.error) return c.json({ error: result.error }, result.status);
+
+  await changeMeta(c.get('kv'), fileId, (meta) => {
+    meta.folderId = targetFolderId;
+  });
+  notifyLibrary(c, 'file.move', { fileId, folderId: targetFolderId });
 
-  const folders = await readFolders(c.env.HISTORY);
-  const source = folders.find((f) => f.id === sourceFolderId);
-  const target = folders.find((f) => f.id === targetFolderId);
-  if (!source || !target) return c.json({ error: 'Folder not found' }, 404);
+  return c.json({ success: true });
+});
 
-  source.fileIds = source.fileIds.filter((id) => id !== fileId);
-  if (!target.fileIds.includes(fileId)) target.fileIds.push(fileId);
-  await writeFolders(c.env.HISTORY, folders);
+// ── Tag routes ──────────────────────────────────────────────────────────────
 
-  const metaJson = await c.env.HISTORY.get(`meta:${fileId}`);
-  if (metaJson) {
-    try {
-      const meta = JSON.parse(metaJson);
-      meta.folderId = targetFolderId;
-      await c.env.HISTORY.put(`meta:${fileId}`, JSON.stringify(meta));
-    } catch { /* ignore corrupt meta */ }
+// Every tag in use with the number of files carrying it, most used first.
+// Archived and trashed files aren't counted since the lists hide them.
+app.get('/api/tags', async (c) => {
+  const counts = new Map();
+  for (const meta of (await listAllMeta(c.get('kv'))).values()) {
+    if (meta.archivedAt || meta.deletedAt) continue;
+    for (const tag of meta.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return c.json(
+    [...counts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+  );
+});
+
+// Body: { tags: ['a', 'b'] }. Tags are normalized (lowercase, spaces become
+// dashes); ones the file already has are ignored.
+app.post('/api/files/:id/tags', async (c) => {
+  const id = c.req.param('id');
+  const { tags } = await c.req.json().catch(() => ({}));
+  if (!Array.isArray(tags) || tags.length === 0) {
+    return c.json({ error: 'tags must be a non-empty array' }, 400);
+  }
+  const invalid = tags.filter((t) => !normalizeTag(t));
+  if (invalid.length > 0) {
+    return c.json({ error: `Invalid tag: ${String(invalid[0]).slice(0, MAX_TAG_LENGTH)}` }, 400);
+  }
+
+  const meta = await changeMeta(c.get('kv'), id, (meta) => {
+    if (meta.deletedAt) return { error: 'File not found', status: 404 };
+    const merged = mergeTags(meta.tags, tags);
+    if (merged.length > MAX_TAGS_PER_FILE) {
+      return { error: `A file can have at most ${MAX_TAGS_PER_FILE} tags`, status: 400 };
+    }
+    meta.tags = merged;
+  });
+  if (!meta) return c.json({ error: 'File not found' }, 404);
+  if (meta.error) return c.json({ error: meta.error }, meta.status);
+
+  const log = c.get('logger');
+  log.info('file.tag', { fileId: id, tags: meta.tags.length });
+  notifyLibrary(c, 'file.update', { fileId: id });
+
+  return c.json({ id, tags: meta.tags });
+});
+
+app.delete('/api/files/:id/tags/:tag', async (c) => {
+  const id = c.req.param('id');
+  const tag = normalizeTag(c.req.param('tag'));
+
+  const meta = await changeMeta(c.get('kv'), id, (meta) => {
+    if (meta.deletedAt) return { error: 'File not found', status: 404 };
+    if (!tag || !meta.tags?.includes(tag)) return { error: 'Tag not found', status: 404 };
+    meta.tags = meta.tags.filter((t) => t !== tag);
+    if (meta.tags.length === 0) delete meta.tags;
+  });
+  if (!meta) return c.json({ error: 'File not found' }, 404);
+  if (meta.error) return c.json({ error: meta.error }, meta.status);
+
+  const log = c.get('logger');
+  log.info('file.untag', { fileId: id, tag });
+  notifyLibrary(c, 'file.update', { fileId: id });
+
+  return c.json({ id, tags: meta.tags || [] });
+});
+
+// ── Export ──────────────────────────────────────────────────────────────────
+// Streams a zip of the original bodies from R2, one directory per folder (nested
+// like the folder tree), plus
+// a manifest.json with each file's metadata. Exporting doesn't count as a view,
+// so lastAccessedAt is left alone.
+
+function safeZipName(name) {
+  return name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/^\.+/, '_').trim() || 'untitled';
+}
+
+function exportFilename(id, meta) {
+  const name = safeZipName(meta.filename || id);
+  if (extensionOf(name) || meta.format === 'text') return name;
+  return `${name}.${meta.format === 'mdx' ? 'mdx' : 'md'}`;
+}
+
+// "Notes/a.md" → "Notes/a (2).md" when a file of the same name already exists
+function uniquePath(path, used) {
+  let candidate = path;
+  const dot = path.lastIndexOf('.');
+  const hasExt = dot > path.lastIndexOf('/') + 1;
+  const stem = hasExt ? path.slice(0, dot) : path;
+  const ext = hasExt ? path.slice(dot) : '';
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = `${stem} (${n})${ext}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// entries: [{ id, meta, folder }] where folder is the folder's path as an array
+// of names (empty for unfiled files)
+function streamExport(c, entries, archiveName) {
+  const log = c.get('logger');
+  c.header('Content-Type', 'application/zip');
+  c.header('Content-Disposition', `attachment; filename="export.zip"; filename*=UTF-8''${encodeURIComponent(archiveName)}.zip`);
+
+  return stream(c, async (out) => {
+    const zip = new ZipWriter((bytes) => out.write(bytes));
+    const used = new Set(['manifest.json']);
+    const files = [];
+
+    for (const { id, meta, folder } of entries) {
+      const object = await c.env.MD_FILES.get(`${id}.md`);
+      if (!object) continue;
+      const dir = folder.map((name) => `${safeZipName(name)}/`).join('');
+      const path = uniquePath(dir + exportFilename(id, meta), used);
+      const modified = new Date(meta.updatedAt || meta.created || Date.now());
+      await zip.add(path, new Uint8Array(await object.arrayBuffer()), modified);
+      files.push({
+        id,
+        path,
+        filename: meta.filename,
+        folder: folder.length > 0 ? folder.join('/') : null,
+        source: meta.source,
+        format: meta.format || 'markdown',
+        created: meta.created || null,
+        updatedAt: meta.updatedAt || null,
+        lastAccessedAt: meta.lastAccessedAt || null,
+        archivedAt: meta.archivedAt || null,
+        tags: meta.tags || [],
+      });
+    }
+
+    const manifest = { exportedAt: new Date().toISOString(), files };
+    await zip.add('manifest.json', JSON.stringify(manifest, null, 2));
+    await zip.close();
+    log.info('export.complete', { archive: archiveName, files: files.length, bytes: zip.offset });
+  }, async (err) => {
+    log.error('export.error', { archive: archiveName, error: err.message });
+  });
+}
+
+app.get('/api/export', async (c) => {
+  const kv = c.get('kv');
+  const allMeta = await listAllMeta(kv);
+  const folders = await readFolders(kv);
+  const folderOf = new Map();
+  for (const folder of folders) {
+    const path = folderPath(folders, folder.id);
+    for (const fid of folder.fileIds) folderOf.set(fid, path);
+  }
+
+  const entries = [...allMeta]
+    .filter(([, meta]) => !meta.deletedAt)
+    .map(([id, meta]) => ({ id, meta, folder: folderOf.get(id) || [] }));
+  return streamExport(c, entries, 'markdown-export');
+});
+
+app.get('/api/folders/:id/export', async (c) => {
+  const kv = c.get('kv');
+  const folders = await readFolders(kv);
+  const folder = folders.find((f) => f.id === c.req.param('id'));
+  if (!folder) return c.json({ error: 'Folder not found' }, 404);
+
+  // Subfolders are included; paths start at the exported folder
+  const depth = folderPath(folders, folder.id).length - 1;
+  const inTree = subtreeIds(folders, folder.id);
+  const allMeta = await listAllMeta(kv);
+  const entries = [];
+  for (const f of folders) {
+    if (!inTree.has(f.id)) continue;
+    const path = folderPath(folders, f.id).slice(depth);
+    for (const fid of f.fileIds) {
+      if (allMeta.has(fid)) entries.push({ id: fid, meta: allMeta.get(fid), folder: path });
+    }
   }
+  return streamExport(c, entries, safeZipName(folder.name));
+});
+
+// ── Snapshot routes ─────────────────────────────────────────────────────────
+
+app.get('/api/snapshots', async (c) => {
+  return c.json(await listSnapshots(c.env.MD_FILES, c.get('user').id));
+});
+
+app.post('/api/snapshots', async (c) => {
+  const user = c.get('user');
+  const snapshot = await createSnapshot(c.env, c.get('kv'), user.id, 'manual');
+
+  const log = c.get('logger');
+  log.info('snapshot.create', { userId: user.id, snapshotId: snapshot.id, files: snapshot.files, source: 'manual' });
+
+  return c.json(snapshot, 201);
+});
+
+app.get('/api/snapshots/:id', async (c) => {
+  const id = c.req.param('id');
+  const object = SNAPSHOT_ID_RE.test(id) && await c.env.MD_FILES.get(snapshotKey(c.get('user').id, id));
+  if (!object) return c.json({ error: 'Snapshot not found' }, 404);
+
+  c.header('Content-Type', 'application/zip');
+  c.header('Content-Disposition', `attachment; filename="${id}.zip"`);
+  return c.body(object.body);
+});
 
+app.delete('/api/snapshots/:id', async (c) => {
+  const id = c.req.param('id');
+  const key = snapshotKey(c.get('user').id, id);
+  if (!SNAPSHOT_ID_RE.test(id) || !(await c.env.MD_FILES.head(key))) {
+    return c.json({ error: 'Snapshot not found' }, 404);
+  }
+  await c.env.MD_FILES.delete(key);
   return c.json({ success: true });
 });
 
+// Restores from a stored snapshot ({ mode, dryRun } JSON body) or from an
+// uploaded snapshot zip (multipart `file`, `mode`, `dryRun` fields).
+async function restoreFrom(c, bytes, { mode = 'skip', dryRun = false }) {
+  if (!RESTORE_MODES.includes(mode)) {
+    return c.json({ error: `mode must be one of: ${RESTORE_MODES.join(', ')}` }, 400);
+  }
+
+  let snapshot;
+  try {
+    snapshot = await readSnapshot(bytes);
+  } catch (err) {
+    if (!(err instanceof ZipError)) throw err;
+    return c.json({ error: err.message }, 400);
+  }
+
+  const kv = c.get('kv');
+  const plan = await planRestore(c.env, kv, snapshot, mode);
+  if (!dryRun) await applyRestore(c.env, kv, snapshot, plan);
+
+  const summary = { create: 0, overwrite: 0, duplicate: 0, skip: 0, error: 0 };
+  for (const fp of plan.files) summary[fp.action]++;
+
+  const log = c.get('logger');
+  log.info('snapshot.restore', { userId: c.get('user').id, mode, dryRun, ...summary });
+  if (!dryRun) notifyLibrary(c, 'library.restore');
+
+  const strip = ({ targetId, ...rest }) => (targetId && targetId !== rest.id ? { ...rest, newId: targetId } : rest);
+  return c.json({
+    dryRun,
+    mode,
+    snapshot: { version: snapshot.manifest.version, created: snapshot.manifest.created || null },
+    summary,
+    files: plan.files.map(strip),
+    folders: plan.folders.map(strip),
+  });
+}
+
+app.post('/api/snapshots/:id/restore', async (c) => {
+  const id = c.req.param('id');
+  const object = SNAPSHOT_ID_RE.test(id) && await c.env.MD_FILES.get(snapshotKey(c.get('user').id, id));
+  if (!object) return c.json({ error: 'Snapshot not found' }, 404);
+
+  const { mode, dryRun } = await c.req.json().catch(() => ({}));
+  return restoreFrom(c, new Uint8Array(await object.arrayBuffer()), { mode, dryRun: dryRun === true });
+});
+
+app.post('/api/restore', async (c) => {
+  const body = await c.req.parseBody();
+  const file = body['file'];
+  if (!file || !(file instanceof File)) {
+    return c.json({ error: 'No snapshot file provided' }, 400);
+  }
+  return restoreFrom(c, new Uint8Array(await file.arrayBuffer()), {
+    mode: body['mode'] || undefined,
+    dryRun: body['dryRun'] === 'true',
+  });
+});
+
 // ── SPA fallback ────────────────────────────────────────────────────────────
-// Serve index.html for /<uuid> paths so direct links & browser refresh work.
+// Serve index.html for /<uuid> and /s/<token> paths so direct links, share
+// links & browser refresh work.
 
 const UUID_RE = /^\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SHARE_PATH_RE = /^\/s\/[0-9a-f]{32}$/;
 
 app.get('*', async (c) => {
   const path = new URL(c.req.url).pathname;
-  if (UUID_RE.test(path)) {
+  if (UUID_RE.test(path) || SHARE_PATH_RE.test(path)) {
     const url = new URL(c.req.url);
     url.pathname = '/';
     return c.env.ASSETS.fetch(new Request(url, c.req.raw));
@@ -620,10 +3972,20 @@ export default {
   fetch: app.fetch,
   async scheduled(event, env, ctx) {
     const log = createLogger(env.LOG_LEVEL);
-    ctx.waitUntil(
-      runRetention(env, log).catch((err) => {
+    ctx.waitUntil((async () => {
+      await resumeLegacyMigration(env, log).catch((err) => {
+        log.error('migration.error', { error: err.message });
+      });
+      await backfillPointers(env, log).catch((err) => {
+        log.error('backfill.error', { error: err.message });
+      });
+      // Snapshot first so files retention is about to delete are still captured
+      if (env.SCHEDULED_SNAPSHOTS === 'true') {
+        await runScheduledSnapshots(env, log);
+      }
+      await runRetention(env, log).catch((err) => {
         log.error('retention.error', { error: err.message });
-      })
-    );
+      });
+    })());
   },
 };
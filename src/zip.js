@@ -0,0 +1,210 @@
+// Minimal ZIP reader and writer built on (De)CompressionStream. Handles
+// stored and deflated entries; ZIP64 and encrypted archives are rejected.
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+export class ZipError extends Error {}
+
+function findEndOfCentralDirectory(view) {
+  const stop = Math.max(0, view.byteLength - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+  for (let i = view.byteLength - EOCD_MIN_SIZE; i >= stop; i--) {
+    if (view.getUint32(i, true) === EOCD_SIG) return i;
+  }
+  throw new ZipError('Not a zip archive');
+}
+
+async function inflateRaw(bytes, maxBytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  const reader = stream.getReader();
+  const chunks = [];
+  let total = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw new ZipError('Entry is larger than its declared size');
+    }
+    chunks.push(value);
+  }
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return out;
+}
+
+// Returns [{ path, size, read() }] for every file entry (directories are
+// skipped). `read()` decompresses lazily. Declared sizes are checked against
+// maxEntries / maxTotalBytes up front so a zip bomb fails before inflating.
+export function readZip(buffer, { maxEntries = 1000, maxTotalBytes = 50 * 1024 * 1024 } = {}) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = findEndOfCentralDirectory(view);
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) throw new ZipError('ZIP64 archives are not supported');
+  if (count > maxEntries) throw new ZipError(`Archive has more than ${maxEntries} entries`);
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  let totalBytes = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > bytes.byteLength || view.getUint32(offset, true) !== CENTRAL_SIG) {
+      throw new ZipError('Corrupt central directory');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+    if (flags & 0x1) throw new ZipError('Encrypted archives are not supported');
+    if (method !== 0 && method !== 8) throw new ZipError(`Unsupported compression in ${path}`);
+
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) throw new ZipError('Archive is too large once extracted');
+
+    entries.push({
+      path,
+      size,
+      async read() {
+        if (localOffset + 30 > bytes.byteLength || view.getUint32(localOffset, true) !== LOCAL_SIG) {
+          throw new ZipError(`Corrupt entry ${path}`);
+        }
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        if (start + compressedSize > bytes.byteLength) throw new ZipError(`Corrupt entry ${path}`);
+        const data = bytes.subarray(start, start + compressedSize);
+        if (method === 0) return data;
+        try {
+          return await inflateRaw(data, size);
+        } catch (err) {
+          if (err instanceof ZipError) throw err;
+          throw new ZipError(`Corrupt entry ${path}`);
+        }
+      },
+    });
+  }
+  return entries;
+}
+
+// ── Writer ──────────────────────────────────────────────────────────────────
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// MS-DOS date/time as stored in zip headers. The format has no time zone,
+// so UTC is written; precision is two seconds.
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getUTCFullYear());
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+  };
+}
+
+// Writes entries one at a time to `write(bytes)`, so an archive can be
+// streamed without holding every file in memory. Call close() once to emit
+// the central directory.
+export class ZipWriter {
+  constructor(write) {
+    this.write = write;
+    this.offset = 0;
+    this.central = [];
+    this.encoder = new TextEncoder();
+  }
+
+  async add(path, content, modified = new Date()) {
+    const raw = typeof content === 'string' ? this.encoder.encode(content) : content;
+    const deflated = await deflateRaw(raw);
+    // Tiny files can grow when deflated; store those as-is
+    const method = deflated.length < raw.length ? 8 : 0;
+    const data = method === 8 ? deflated : raw;
+    const name = this.encoder.encode(path);
+    const crc = crc32(raw);
+    const { time, date } = dosDateTime(modified);
+    if (this.central.length / 2 >= 0xffff || this.offset + 30 + name.length + data.length > 0xffffffff) {
+      throw new ZipError('Archive is too large to export');
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_SIG, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x800, true); // UTF-8 file names
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, CENTRAL_SIG, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(8, 0x800, true);
+    header.setUint16(10, method, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, data.length, true);
+    header.setUint32(24, raw.length, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, this.offset, true);
+    this.central.push(new Uint8Array(header.buffer), name);
+
+    await this.write(new Uint8Array(local.buffer));
+    await this.write(name);
+    await this.write(data);
+    this.offset += 30 + name.length + data.length;
+  }
+
+  async close() {
+    const count = this.central.length / 2;
+    let size = 0;
+    for (const part of this.central) {
+      await this.write(part);
+      size += part.length;
+    }
+    const end = new DataView(new ArrayBuffer(EOCD_MIN_SIZE));
+    end.setUint32(0, EOCD_SIG, true);
+    end.setUint16(8, count, true);
+    end.setUint16(10, count, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, this.offset, true);
+    await this.write(new Uint8Array(end.buffer));
+  }
+}